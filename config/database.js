@@ -1,5 +1,6 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
 
 dotenv.config();
 
@@ -43,11 +44,11 @@ export const pool = new Pool(dbConfig);
 
 // Pool event handlers
 pool.on('connect', () => {
-    console.log('✓ Conectado a PostgreSQL');
+    logger.debug('Nueva conexión a PostgreSQL', { total: pool.totalCount });
 });
 
 pool.on('error', (err) => {
-    console.error('✗ Error inesperado en el pool de conexiones:', err);
+    logger.error('Error inesperado en el pool de conexiones', { error: err });
     process.exit(-1);
 });
 
@@ -59,7 +60,7 @@ export const getClient = async () => {
     try {
         return await pool.connect();
     } catch (error) {
-        console.error('Error obteniendo cliente de la pool:', error);
+        logger.error('Error obteniendo cliente de la pool', { error, total: pool.totalCount, waiting: pool.waitingCount });
         throw error;
     }
 };
@@ -70,9 +71,9 @@ export const getClient = async () => {
 export const closePool = async () => {
     try {
         await pool.end();
-        console.log('✓ Pool de conexiones cerrado');
+        logger.info('Pool de conexiones cerrado');
     } catch (error) {
-        console.error('Error cerrando pool de conexiones:', error);
+        logger.error('Error cerrando pool de conexiones', { error });
         throw error;
     }
 };
\ No newline at end of file
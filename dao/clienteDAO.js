@@ -1,8 +1,29 @@
+import { CLIENT_COLUMNS, validateClientFields } from '../utils/clientValidation.js';
+import { ValidationError, ConflictError, ERROR_CODES, toDbError } from '../utils/errors.js';
+import { buildListQuery, isDateOnly, toPage } from '../utils/queryBuilder.js';
+import { logger } from '../utils/logger.js';
+
 /**
  * Cliente Data Access Object
  * Handles all database operations related to clients
  */
 
+// Columns returned for clients. The test run tag (ejecucion_prueba_id) is
+// bookkeeping for cleanup, not part of the API.
+const CLIENT_FIELDS = `id, ${CLIENT_COLUMNS.join(', ')}, fecha_creacion`;
+
+/**
+ * Reject client data with unknown columns or invalid formats
+ * @param {Object} fields - Client fields
+ * @throws {ValidationError} With a `fields` array describing each problem
+ */
+const assertValidClientFields = (fields) => {
+    const errors = validateClientFields(fields);
+    if (errors.length > 0) {
+        throw new ValidationError(`Datos de cliente inválidos: ${errors.map(e => e.field).join(', ')}`, { fields: errors });
+    }
+};
+
 /**
  * Create or validate client with proper email/name logic
  * @param {Object} client - Client data
@@ -16,17 +37,21 @@
 export const createClient = async (client, dbClient) => {
     const { nombre, email, telefono, direccion } = client;
     
+    assertValidClientFields({ nombre, email, telefono: telefono ?? null, direccion: direccion ?? null });
+    
     // First check if email already exists
     const existingClient = await getClientByEmail(email, dbClient);
     
     if (existingClient) {
         // Email exists - check if name matches
         if (existingClient.nombre !== nombre) {
-            throw new Error(`Email ${email} ya existe con diferente nombre: "${existingClient.nombre}". Se esperaba: "${nombre}"`);
+            throw new ConflictError(`Email ${email} ya existe con diferente nombre: "${existingClient.nombre}". Se esperaba: "${nombre}"`, {
+                code: ERROR_CODES.EMAIL_NAME_MISMATCH
+            });
         }
         
         // Email and name match - return existing client
-        console.log(`[INFO] Cliente existente encontrado: ${existingClient.nombre} (${email})`);
+        logger.debug('Cliente existente encontrado', { clienteId: existingClient.id, email });
         return existingClient;
     }
     
@@ -34,7 +59,7 @@ export const createClient = async (client, dbClient) => {
     const query = `
         INSERT INTO clientes (nombre, email, telefono, direccion)
         VALUES ($1, $2, $3, $4)
-        RETURNING *
+        RETURNING ${CLIENT_FIELDS}
     `;
     
     const values = [nombre, email, telefono, direccion];
@@ -43,7 +68,7 @@ export const createClient = async (client, dbClient) => {
         const result = await dbClient.query(query, values);
         return result.rows[0];
     } catch (error) {
-        throw new Error(`Error creando cliente: ${error.message}`);
+        throw toDbError('Error creando cliente', error);
     }
 };
 
@@ -54,13 +79,13 @@ export const createClient = async (client, dbClient) => {
  * @returns {Promise<Object|null>} Client data or null if not found
  */
 export const getClientById = async (clientId, dbClient) => {
-    const query = 'SELECT * FROM clientes WHERE id = $1';
+    const query = `SELECT ${CLIENT_FIELDS} FROM clientes WHERE id = $1`;
     
     try {
         const result = await dbClient.query(query, [clientId]);
         return result.rows[0] || null;
     } catch (error) {
-        throw new Error(`Error obteniendo cliente: ${error.message}`);
+        throw toDbError('Error obteniendo cliente', error);
     }
 };
 
@@ -71,13 +96,13 @@ export const getClientById = async (clientId, dbClient) => {
  * @returns {Promise<Object|null>} Client data or null if not found
  */
 export const getClientByEmail = async (email, dbClient) => {
-    const query = 'SELECT * FROM clientes WHERE email = $1';
+    const query = `SELECT ${CLIENT_FIELDS} FROM clientes WHERE email = $1`;
     
     try {
         const result = await dbClient.query(query, [email]);
         return result.rows[0] || null;
     } catch (error) {
-        throw new Error(`Error obteniendo cliente por email: ${error.message}`);
+        throw toDbError('Error obteniendo cliente por email', error);
     }
 };
 
@@ -87,42 +112,188 @@ export const getClientByEmail = async (email, dbClient) => {
  * @returns {Promise<Array>} Array of clients
  */
 export const getAllClients = async (dbClient) => {
-    const query = 'SELECT * FROM clientes ORDER BY fecha_creacion DESC';
+    const query = `SELECT ${CLIENT_FIELDS} FROM clientes ORDER BY fecha_creacion DESC`;
     
     try {
         const result = await dbClient.query(query);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo clientes: ${error.message}`);
+        throw toDbError('Error obteniendo clientes', error);
+    }
+};
+
+/**
+ * Filters and sort fields accepted by findClients (see utils/queryBuilder.js)
+ */
+export const CLIENT_QUERY_SPEC = Object.freeze({
+    filters: {
+        nombre: { type: 'contains', sql: (ph) => `c.nombre ILIKE ${ph} ESCAPE '\\'` },
+        email: { type: 'contains', sql: (ph) => `c.email ILIKE ${ph} ESCAPE '\\'` },
+        from: { type: 'date', sql: (ph) => `c.fecha_creacion >= ${ph}` },
+        to: {
+            type: 'date',
+            sql: (ph, value) => isDateOnly(value)
+                ? `c.fecha_creacion < ${ph}::date + 1`
+                : `c.fecha_creacion <= ${ph}`
+        }
+    },
+    pagination: { defaultLimit: 50, maxLimit: 200 },
+    sort: {
+        fields: {
+            // Nullable: keyset row comparisons need a value on every row
+            fecha_creacion: "COALESCE(c.fecha_creacion, '-infinity')",
+            nombre: 'c.nombre',
+            email: 'c.email',
+            id: 'c.id'
+        },
+        default: 'fecha_creacion',
+        direction: 'desc',
+        tieBreaker: 'c.id'
+    }
+});
+
+/**
+ * Find one page of clients matching list query parameters
+ * @param {Object} params - Query parameters (see CLIENT_QUERY_SPEC), including `limit` and `cursor`
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} { clients, nextCursor, applied } with the filters, sort and limit used
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const findClients = async (params, dbClient) => {
+    const { where, orderBy, limit, cursorColumns, values, applied, page } = buildListQuery(params, CLIENT_QUERY_SPEC);
+    const query = `
+        SELECT ${CLIENT_FIELDS}, ${cursorColumns} FROM clientes c
+        ${where}
+        ${orderBy}
+        ${limit}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, values);
+        const { rows, nextCursor } = toPage(result.rows, page);
+        return { clients: rows, nextCursor, applied };
+    } catch (error) {
+        throw toDbError('Error buscando clientes', error);
     }
 };
 
+/**
+ * Build the export query for clients: same filters and sort as findClients,
+ * without pagination (exports read every matching row through a cursor)
+ * @param {Object} params - Query parameters (see CLIENT_QUERY_SPEC)
+ * @returns {Object} { text, values } ready for DECLARE ... CURSOR FOR
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const buildClientExportQuery = (params) => {
+    const { where, orderBy, values } = buildListQuery(params, {
+        filters: CLIENT_QUERY_SPEC.filters,
+        sort: CLIENT_QUERY_SPEC.sort
+    });
+    return { text: `SELECT ${CLIENT_FIELDS} FROM clientes c ${where} ${orderBy}`, values };
+};
+
 /**
  * Update client
+ * Only CLIENT_COLUMNS are accepted and their formats are validated before
+ * the SET clause is built, so column names never come from user input.
+ * A new email must not belong to another client (same rule as createClient).
  * @param {number} clientId - Client ID
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update (nombre, email, telefono, direccion)
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<Object>} Updated client data
+ * @returns {Promise<Object|null>} Updated client data or null if not found
+ * @throws {ValidationError} For unknown fields or invalid formats
+ * @throws {ConflictError} If the email belongs to another client
  */
 export const updateClient = async (clientId, updates, dbClient) => {
-    const fields = Object.keys(updates).map((key, index) => `${key} = $${index + 2}`);
+    const columns = Object.keys(updates);
+    if (columns.length === 0) {
+        throw new ValidationError(`No hay campos para actualizar en el cliente. Campos permitidos: ${CLIENT_COLUMNS.join(', ')}`);
+    }
+    assertValidClientFields(updates);
+    
+    if (updates.email !== undefined) {
+        const emailOwner = await getClientByEmail(updates.email, dbClient);
+        if (emailOwner && emailOwner.id !== clientId) {
+            throw new ConflictError(`Email ${updates.email} ya pertenece a otro cliente`, { code: ERROR_CODES.EMAIL_TAKEN });
+        }
+    }
+    
+    const fields = columns.map((column, index) => `${column} = $${index + 2}`);
     const query = `
         UPDATE clientes 
         SET ${fields.join(', ')}
         WHERE id = $1
-        RETURNING *
+        RETURNING ${CLIENT_FIELDS}
     `;
     
-    const values = [clientId, ...Object.values(updates)];
+    const values = [clientId, ...columns.map(column => updates[column])];
     
     try {
         const result = await dbClient.query(query, values);
-        if (result.rows.length === 0) {
-            throw new Error(`Cliente con ID ${clientId} no encontrado`);
+        return result.rows[0] || null;
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation (concurrent email change)
+            throw new ConflictError(`Email ${updates.email} ya pertenece a otro cliente`, { code: ERROR_CODES.EMAIL_TAKEN, cause: error });
         }
-        return result.rows[0];
+        throw toDbError('Error actualizando cliente', error);
+    }
+};
+
+/**
+ * Lock a client row for the rest of the transaction
+ * New orders for the client wait on this lock (their foreign key check needs
+ * the row), so nothing can be added while the client is being deleted.
+ * @param {number} clientId - Client ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object|null>} Client data or null if not found
+ */
+export const lockClientForUpdate = async (clientId, dbClient) => {
+    const query = `SELECT ${CLIENT_FIELDS} FROM clientes WHERE id = $1 FOR UPDATE`;
+    
+    try {
+        const result = await dbClient.query(query, [clientId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        throw toDbError('Error bloqueando cliente', error);
+    }
+};
+
+/**
+ * Lock clients by email for update, in ascending ID order
+ * @param {Array<string>} emails - Client emails
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Locked clients that exist, ordered by ID
+ */
+export const lockClientsByEmails = async (emails, dbClient) => {
+    const query = `
+        SELECT ${CLIENT_FIELDS} FROM clientes
+        WHERE email = ANY($1::text[])
+        ORDER BY id
+        FOR UPDATE
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [emails]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error bloqueando clientes por email', error);
+    }
+};
+
+/**
+ * Count the orders of a client
+ * @param {number} clientId - Client ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<number>} Number of orders, cancelled ones included
+ */
+export const countClientOrders = async (clientId, dbClient) => {
+    const query = 'SELECT COUNT(*)::int AS total FROM pedidos WHERE cliente_id = $1';
+    
+    try {
+        const result = await dbClient.query(query, [clientId]);
+        return result.rows[0].total;
     } catch (error) {
-        throw new Error(`Error actualizando cliente: ${error.message}`);
+        throw toDbError('Error contando pedidos del cliente', error);
     }
 };
 
@@ -139,6 +310,6 @@ export const deleteClient = async (clientId, dbClient) => {
         const result = await dbClient.query(query, [clientId]);
         return result.rowCount > 0;
     } catch (error) {
-        throw new Error(`Error eliminando cliente: ${error.message}`);
+        throw toDbError('Error eliminando cliente', error);
     }
 };
\ No newline at end of file
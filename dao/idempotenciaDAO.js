@@ -0,0 +1,90 @@
+import { NotFoundError, toDbError } from '../utils/errors.js';
+
+/**
+ * Idempotencia Data Access Object
+ * Handles all database operations related to idempotency keys
+ */
+
+/**
+ * Claim an idempotency key inside the current transaction
+ * Expired entries are removed first so the key can be reused. If another
+ * transaction is inserting the same key, the INSERT waits for it to finish:
+ * once it commits, this call returns its stored entry instead of claiming.
+ * @param {string} key - Idempotency key sent by the client
+ * @param {string} requestHash - Hash of the request body
+ * @param {number} ttlHours - Hours until the key expires
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} { claimed: true } for a new key, or
+ *   { claimed: false, entry } with the stored entry for a replay
+ */
+export const claimKey = async (key, requestHash, ttlHours, dbClient) => {
+    const deleteExpiredQuery = `
+        DELETE FROM claves_idempotencia
+        WHERE clave = $1 AND fecha_expiracion <= CURRENT_TIMESTAMP
+    `;
+    
+    const insertQuery = `
+        INSERT INTO claves_idempotencia (clave, hash_solicitud, fecha_expiracion)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 hour')
+        ON CONFLICT (clave) DO NOTHING
+        RETURNING *
+    `;
+    
+    try {
+        await dbClient.query(deleteExpiredQuery, [key]);
+        
+        const inserted = await dbClient.query(insertQuery, [key, requestHash, ttlHours]);
+        if (inserted.rows.length > 0) {
+            return { claimed: true, entry: inserted.rows[0] };
+        }
+        
+        const existing = await dbClient.query('SELECT * FROM claves_idempotencia WHERE clave = $1', [key]);
+        return { claimed: false, entry: existing.rows[0] };
+    } catch (error) {
+        throw toDbError('Error reservando clave de idempotencia', error);
+    }
+};
+
+/**
+ * Store the response produced for a claimed key
+ * @param {string} key - Idempotency key
+ * @param {number} statusCode - HTTP status of the original response
+ * @param {Object} response - Result to replay for later requests
+ * @param {number|null} orderId - Order created by the request
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Updated entry
+ */
+export const saveResponse = async (key, statusCode, response, orderId, dbClient) => {
+    const query = `
+        UPDATE claves_idempotencia
+        SET codigo_respuesta = $2, respuesta = $3, pedido_id = $4
+        WHERE clave = $1
+        RETURNING *
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [key, statusCode, JSON.stringify(response), orderId]);
+        if (result.rows.length === 0) {
+            throw new NotFoundError(`Clave de idempotencia ${key} no encontrada`);
+        }
+        return result.rows[0];
+    } catch (error) {
+        throw toDbError('Error guardando respuesta idempotente', error);
+    }
+};
+
+/**
+ * Delete every expired idempotency key
+ * @param {Object} dbClient - Database client
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export const purgeExpiredKeys = async (dbClient) => {
+    const query = 'DELETE FROM claves_idempotencia WHERE fecha_expiracion <= CURRENT_TIMESTAMP';
+    
+    try {
+        const result = await dbClient.query(query);
+        return result.rowCount;
+    } catch (error) {
+        throw toDbError('Error purgando claves de idempotencia', error);
+    }
+};
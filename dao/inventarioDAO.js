@@ -1,8 +1,121 @@
+import { buildListQuery, toPage } from '../utils/queryBuilder.js';
+import {
+    NotFoundError,
+    ConflictError,
+    InsufficientStockError,
+    ValidationError,
+    ERROR_CODES,
+    toDbError
+} from '../utils/errors.js';
+
 /**
  * Inventario Data Access Object
  * Handles all database operations related to inventory
  */
 
+// Columns returned for products and movements. The test run tag
+// (ejecucion_prueba_id) is bookkeeping for cleanup, not part of the API.
+const PRODUCT_FIELDS = 'id, producto, descripcion, precio, stock, stock_minimo, fecha_actualizacion';
+const MOVEMENT_FIELDS = 'id, producto_id, cantidad, saldo, motivo, pedido_id, nota, fecha';
+
+/**
+ * Reasons recorded in the stock ledger (movimientos_inventario) besides the
+ * manual adjustment reasons of utils/stockAdjustments.js
+ */
+export const MOVEMENT_REASONS = Object.freeze({
+    STOCK_INICIAL: 'stock_inicial',
+    VENTA: 'venta',
+    CANCELACION: 'cancelacion'
+});
+
+/**
+ * Record a stock movement in the ledger
+ * Called by every function that changes inventario.stock, inside the same
+ * transaction and with the balance returned by that UPDATE.
+ * @param {Object} movement - { producto_id, cantidad (delta), saldo, motivo, pedido_id, nota }
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Created movement
+ */
+export const recordMovement = async (movement, dbClient) => {
+    const { producto_id, cantidad, saldo, motivo, pedido_id, nota } = movement;
+    const query = `
+        INSERT INTO movimientos_inventario (producto_id, cantidad, saldo, motivo, pedido_id, nota)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${MOVEMENT_FIELDS}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [producto_id, cantidad, saldo, motivo, pedido_id || null, nota || null]);
+        return result.rows[0];
+    } catch (error) {
+        throw toDbError('Error registrando movimiento de inventario', error);
+    }
+};
+
+/**
+ * Get the stock movements of a product (oldest first)
+ * Ordered by id, the order they were recorded in: fecha is when their
+ * transaction started, so it can't tell concurrent transactions apart.
+ * @param {number} productId - Product ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Movements
+ */
+export const getMovementsByProduct = async (productId, dbClient) => {
+    const query = `
+        SELECT ${MOVEMENT_FIELDS} FROM movimientos_inventario
+        WHERE producto_id = $1
+        ORDER BY id
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [productId]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error obteniendo movimientos de inventario', error);
+    }
+};
+
+/**
+ * Recompute stock from the ledger and compare it with inventario.stock
+ * A product is consistent when its stock equals the sum of its movements
+ * and the balance of its last movement (highest id).
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} One row per product with stock, stock_libro,
+ *   ultimo_saldo, diferencia and consistente
+ */
+export const getStockConsistency = async (dbClient) => {
+    const query = `
+        SELECT 
+            i.id AS producto_id,
+            i.producto,
+            i.stock,
+            COALESCE(m.suma, 0)::int AS stock_libro,
+            u.saldo AS ultimo_saldo,
+            (i.stock - COALESCE(m.suma, 0))::int AS diferencia,
+            (i.stock = COALESCE(m.suma, 0) AND i.stock = COALESCE(u.saldo, 0)) AS consistente
+        FROM inventario i
+        LEFT JOIN (
+            SELECT producto_id, SUM(cantidad) AS suma
+            FROM movimientos_inventario
+            GROUP BY producto_id
+        ) m ON m.producto_id = i.id
+        LEFT JOIN LATERAL (
+            SELECT saldo FROM movimientos_inventario
+            WHERE producto_id = i.id
+            ORDER BY id DESC
+            LIMIT 1
+        ) u ON true
+        ORDER BY i.id
+    `;
+    
+    try {
+        const result = await dbClient.query(query);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error verificando consistencia de inventario', error);
+    }
+};
+
 /**
  * Get product by ID
  * @param {number} productId - Product ID
@@ -10,13 +123,13 @@
  * @returns {Promise<Object|null>} Product data or null if not found
  */
 export const getProductById = async (productId, dbClient) => {
-    const query = 'SELECT * FROM inventario WHERE id = $1';
+    const query = `SELECT ${PRODUCT_FIELDS} FROM inventario WHERE id = $1`;
     
     try {
         const result = await dbClient.query(query, [productId]);
         return result.rows[0] || null;
     } catch (error) {
-        throw new Error(`Error obteniendo producto: ${error.message}`);
+        throw toDbError('Error obteniendo producto', error);
     }
 };
 
@@ -27,13 +140,13 @@ export const getProductById = async (productId, dbClient) => {
  * @returns {Promise<Object|null>} Product data or null if not found
  */
 export const getProductByName = async (productName, dbClient) => {
-    const query = 'SELECT * FROM inventario WHERE producto = $1';
+    const query = `SELECT ${PRODUCT_FIELDS} FROM inventario WHERE producto = $1`;
     
     try {
         const result = await dbClient.query(query, [productName]);
         return result.rows[0] || null;
     } catch (error) {
-        throw new Error(`Error obteniendo producto por nombre: ${error.message}`);
+        throw toDbError('Error obteniendo producto por nombre', error);
     }
 };
 
@@ -43,102 +156,235 @@ export const getProductByName = async (productName, dbClient) => {
  * @returns {Promise<Array>} Array of products
  */
 export const getAllProducts = async (dbClient) => {
-    const query = 'SELECT * FROM inventario ORDER BY producto';
+    const query = `SELECT ${PRODUCT_FIELDS} FROM inventario ORDER BY producto`;
     
     try {
         const result = await dbClient.query(query);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo productos: ${error.message}`);
+        throw toDbError('Error obteniendo productos', error);
+    }
+};
+
+/**
+ * Filters and sort fields accepted by findProducts (see utils/queryBuilder.js)
+ */
+export const PRODUCT_QUERY_SPEC = Object.freeze({
+    filters: {
+        producto: { type: 'contains', sql: (ph) => `i.producto ILIKE ${ph} ESCAPE '\\'` },
+        min_precio: { type: 'number', sql: (ph) => `i.precio >= ${ph}` },
+        max_precio: { type: 'number', sql: (ph) => `i.precio <= ${ph}` },
+        min_stock: { type: 'integer', min: 0, sql: (ph) => `i.stock >= ${ph}` },
+        max_stock: { type: 'integer', min: 0, sql: (ph) => `i.stock <= ${ph}` },
+        stock_bajo: { type: 'boolean', sql: (ph) => `(i.stock <= i.stock_minimo) = ${ph}` }
+    },
+    pagination: { defaultLimit: 50, maxLimit: 200 },
+    sort: {
+        fields: {
+            producto: 'i.producto',
+            precio: 'i.precio',
+            stock: 'i.stock',
+            // Nullable: keyset row comparisons need a value on every row
+            fecha_actualizacion: "COALESCE(i.fecha_actualizacion, '-infinity')",
+            id: 'i.id'
+        },
+        default: 'producto',
+        direction: 'asc',
+        tieBreaker: 'i.id'
+    }
+});
+
+/**
+ * Find one page of products matching list query parameters
+ * @param {Object} params - Query parameters (see PRODUCT_QUERY_SPEC), including `limit` and `cursor`
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} { products, nextCursor, applied } with the filters, sort and limit used
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const findProducts = async (params, dbClient) => {
+    const { where, orderBy, limit, cursorColumns, values, applied, page } = buildListQuery(params, PRODUCT_QUERY_SPEC);
+    const query = `
+        SELECT ${PRODUCT_FIELDS}, ${cursorColumns} FROM inventario i
+        ${where}
+        ${orderBy}
+        ${limit}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, values);
+        const { rows, nextCursor } = toPage(result.rows, page);
+        return { products: rows, nextCursor, applied };
+    } catch (error) {
+        throw toDbError('Error buscando productos', error);
+    }
+};
+
+/**
+ * Build the export query for products: same filters and sort as findProducts,
+ * without pagination (exports read every matching row through a cursor)
+ * @param {Object} params - Query parameters (see PRODUCT_QUERY_SPEC)
+ * @returns {Object} { text, values } ready for DECLARE ... CURSOR FOR
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const buildProductExportQuery = (params) => {
+    const { where, orderBy, values } = buildListQuery(params, {
+        filters: PRODUCT_QUERY_SPEC.filters,
+        sort: PRODUCT_QUERY_SPEC.sort
+    });
+    return { text: `SELECT ${PRODUCT_FIELDS} FROM inventario i ${where} ${orderBy}`, values };
+};
+
+/**
+ * Lock products for update, always in ascending ID order
+ * Taking the row locks in a fixed order means two orders touching the same
+ * products queue behind each other instead of deadlocking.
+ * @param {Array<number>} productIds - Product IDs (duplicates allowed)
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Locked products, ordered by ID
+ */
+export const lockProductsForUpdate = async (productIds, dbClient) => {
+    const ids = [...new Set(productIds)].sort((a, b) => a - b);
+    const query = `
+        SELECT ${PRODUCT_FIELDS} FROM inventario
+        WHERE id = ANY($1::int[])
+        ORDER BY id
+        FOR UPDATE
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [ids]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error bloqueando productos', error);
+    }
+};
+
+/**
+ * Lock products by name for update, in ascending ID order
+ * @param {Array<string>} productNames - Product names
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Locked products that exist, ordered by ID
+ */
+export const lockProductsByNames = async (productNames, dbClient) => {
+    const query = `
+        SELECT ${PRODUCT_FIELDS} FROM inventario
+        WHERE producto = ANY($1::text[])
+        ORDER BY id
+        FOR UPDATE
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [productNames]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error bloqueando productos por nombre', error);
     }
 };
 
 /**
  * Check if product has sufficient stock
+ * Takes a row lock so the answer stays valid until the transaction ends
  * @param {number} productId - Product ID
  * @param {number} quantity - Required quantity
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<boolean>} True if stock is sufficient
  */
 export const checkStock = async (productId, quantity, dbClient) => {
-    const query = 'SELECT stock FROM inventario WHERE id = $1';
+    const query = 'SELECT stock FROM inventario WHERE id = $1 FOR UPDATE';
     
     try {
         const result = await dbClient.query(query, [productId]);
         if (result.rows.length === 0) {
-            throw new Error(`Producto con ID ${productId} no encontrado`);
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
         }
         
         const currentStock = result.rows[0].stock;
         return currentStock >= quantity;
     } catch (error) {
-        throw new Error(`Error verificando stock: ${error.message}`);
+        throw toDbError('Error verificando stock', error);
     }
 };
 
 /**
  * Update product stock
+ * Atomic conditional decrement: the stock check and the write happen in the
+ * same UPDATE, so concurrent orders can never push stock below zero.
+ * The sale is recorded in the stock ledger.
  * @param {number} productId - Product ID
  * @param {number} quantity - Quantity to subtract (positive number)
+ * @param {number|null} orderId - Order the units were sold in
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<Object>} Updated product data
  */
-export const updateStock = async (productId, quantity, dbClient) => {
-    // First check if product exists and has sufficient stock
-    const checkQuery = 'SELECT * FROM inventario WHERE id = $1';
+export const updateStock = async (productId, quantity, orderId, dbClient) => {
+    const updateQuery = `
+        UPDATE inventario 
+        SET stock = stock - $1, fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE id = $2 AND stock >= $1
+        RETURNING ${PRODUCT_FIELDS}
+    `;
     
     try {
-        const checkResult = await dbClient.query(checkQuery, [productId]);
-        if (checkResult.rows.length === 0) {
-            throw new Error(`Producto con ID ${productId} no encontrado`);
+        const updateResult = await dbClient.query(updateQuery, [quantity, productId]);
+        if (updateResult.rows.length > 0) {
+            const updatedProduct = updateResult.rows[0];
+            await recordMovement({
+                producto_id: productId,
+                cantidad: -quantity,
+                saldo: updatedProduct.stock,
+                motivo: MOVEMENT_REASONS.VENTA,
+                pedido_id: orderId
+            }, dbClient);
+            return updatedProduct;
         }
         
-        const product = checkResult.rows[0];
-        const newStock = product.stock - quantity;
-        
-        if (newStock < 0) {
-            throw new Error(`Stock insuficiente. Stock actual: ${product.stock}, cantidad solicitada: ${quantity}`);
+        // Nothing updated: either the product does not exist or stock is short
+        const checkResult = await dbClient.query('SELECT stock FROM inventario WHERE id = $1', [productId]);
+        if (checkResult.rows.length === 0) {
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
         }
         
-        // Update stock
-        const updateQuery = `
-            UPDATE inventario 
-            SET stock = $1, fecha_actualizacion = CURRENT_TIMESTAMP
-            WHERE id = $2
-            RETURNING *
-        `;
-        
-        const updateResult = await dbClient.query(updateQuery, [newStock, productId]);
-        return updateResult.rows[0];
-        
+        throw new InsufficientStockError(`Stock insuficiente. Stock actual: ${checkResult.rows[0].stock}, cantidad solicitada: ${quantity}`);
+    
     } catch (error) {
-        throw new Error(`Error actualizando stock: ${error.message}`);
+        throw toDbError('Error actualizando stock', error);
     }
 };
 
 /**
  * Restore product stock (for rollback purposes)
+ * The units given back are recorded in the stock ledger.
  * @param {number} productId - Product ID
  * @param {number} quantity - Quantity to add back (positive number)
+ * @param {number|null} orderId - Order the units come back from
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<Object>} Updated product data
  */
-export const restoreStock = async (productId, quantity, dbClient) => {
+export const restoreStock = async (productId, quantity, orderId, dbClient) => {
     const query = `
         UPDATE inventario 
         SET stock = stock + $1, fecha_actualizacion = CURRENT_TIMESTAMP
         WHERE id = $2
-        RETURNING *
+        RETURNING ${PRODUCT_FIELDS}
     `;
     
     try {
         const result = await dbClient.query(query, [quantity, productId]);
         if (result.rows.length === 0) {
-            throw new Error(`Producto con ID ${productId} no encontrado`);
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
         }
-        return result.rows[0];
+        
+        const restoredProduct = result.rows[0];
+        await recordMovement({
+            producto_id: productId,
+            cantidad: quantity,
+            saldo: restoredProduct.stock,
+            motivo: MOVEMENT_REASONS.CANCELACION,
+            pedido_id: orderId
+        }, dbClient);
+        return restoredProduct;
     } catch (error) {
-        throw new Error(`Error restaurando stock: ${error.message}`);
+        throw toDbError('Error restaurando stock', error);
     }
 };
 
@@ -148,18 +394,19 @@ export const restoreStock = async (productId, quantity, dbClient) => {
  * @returns {Promise<Array>} Array of products with low stock
  */
 export const getLowStockProducts = async (dbClient) => {
-    const query = 'SELECT * FROM inventario WHERE stock <= stock_minimo ORDER BY stock ASC';
+    const query = `SELECT ${PRODUCT_FIELDS} FROM inventario WHERE stock <= stock_minimo ORDER BY stock ASC`;
     
     try {
         const result = await dbClient.query(query);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo productos con stock bajo: ${error.message}`);
+        throw toDbError('Error obteniendo productos con stock bajo', error);
     }
 };
 
 /**
  * Create new product
+ * A non-zero initial stock is recorded in the stock ledger.
  * @param {Object} product - Product data
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<Object>} Created product data
@@ -170,18 +417,117 @@ export const createProduct = async (product, dbClient) => {
     const query = `
         INSERT INTO inventario (producto, descripcion, precio, stock, stock_minimo)
         VALUES ($1, $2, $3, $4, $5)
-        RETURNING *
+        RETURNING ${PRODUCT_FIELDS}
     `;
     
-    const values = [producto, descripcion, precio, stock, stock_minimo || 5];
+    const values = [producto, descripcion, precio, stock, stock_minimo ?? 5];
     
     try {
         const result = await dbClient.query(query, values);
-        return result.rows[0];
+        const createdProduct = result.rows[0];
+        if (createdProduct.stock > 0) {
+            await recordMovement({
+                producto_id: createdProduct.id,
+                cantidad: createdProduct.stock,
+                saldo: createdProduct.stock,
+                motivo: MOVEMENT_REASONS.STOCK_INICIAL
+            }, dbClient);
+        }
+        return createdProduct;
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation
+            throw new ConflictError(`El producto ${producto} ya existe`, { code: ERROR_CODES.DUPLICATE_PRODUCT, cause: error });
+        }
+        throw toDbError('Error creando producto', error);
+    }
+};
+
+// Columns that updateProduct may change. Stock is not here on purpose:
+// it only moves through updateStock / restoreStock / adjustStock, which
+// record every change in movimientos_inventario.
+const UPDATABLE_PRODUCT_FIELDS = ['producto', 'descripcion', 'precio', 'stock_minimo'];
+
+/**
+ * Update product details
+ * Only whitelisted columns are used to build the SET clause; unknown keys
+ * are rejected so column names never come from user input.
+ * @param {number} productId - Product ID
+ * @param {Object} updates - Fields to update (producto, descripcion, precio, stock_minimo)
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object|null>} Updated product data or null if not found
+ */
+export const updateProduct = async (productId, updates, dbClient) => {
+    const columns = Object.keys(updates);
+    const unknownColumns = columns.filter(column => !UPDATABLE_PRODUCT_FIELDS.includes(column));
+    
+    if (unknownColumns.length > 0) {
+        throw new ValidationError(`Campos no actualizables en producto: ${unknownColumns.join(', ')}`);
+    }
+    if (columns.length === 0) {
+        throw new ValidationError('No hay campos para actualizar en el producto');
+    }
+    
+    const fields = columns.map((column, index) => `${column} = $${index + 2}`);
+    const query = `
+        UPDATE inventario 
+        SET ${fields.join(', ')}, fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${PRODUCT_FIELDS}
+    `;
+    
+    const values = [productId, ...columns.map(column => updates[column])];
+    
+    try {
+        const result = await dbClient.query(query, values);
+        return result.rows[0] || null;
     } catch (error) {
         if (error.code === '23505') { // Unique violation
-            throw new Error(`El producto ${producto} ya existe`);
+            throw new ConflictError(`El producto ${updates.producto} ya existe`, { code: ERROR_CODES.DUPLICATE_PRODUCT, cause: error });
+        }
+        throw toDbError('Error actualizando producto', error);
+    }
+};
+
+/**
+ * Adjust product stock by a positive or negative delta
+ * The stock can never go below zero: the condition is part of the UPDATE.
+ * The adjustment is recorded in the stock ledger with its reason.
+ * @param {number} productId - Product ID
+ * @param {number} delta - Units to add (positive) or remove (negative)
+ * @param {string} reason - Adjustment reason code
+ * @param {string|null} note - Optional free-text note
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Updated product data
+ */
+export const adjustStock = async (productId, delta, reason, note, dbClient) => {
+    const query = `
+        UPDATE inventario 
+        SET stock = stock + $1, fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE id = $2 AND stock + $1 >= 0
+        RETURNING ${PRODUCT_FIELDS}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [delta, productId]);
+        if (result.rows.length > 0) {
+            const adjustedProduct = result.rows[0];
+            await recordMovement({
+                producto_id: productId,
+                cantidad: delta,
+                saldo: adjustedProduct.stock,
+                motivo: reason,
+                nota: note
+            }, dbClient);
+            return adjustedProduct;
         }
-        throw new Error(`Error creando producto: ${error.message}`);
+        
+        const checkResult = await dbClient.query('SELECT stock FROM inventario WHERE id = $1', [productId]);
+        if (checkResult.rows.length === 0) {
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
+        }
+        
+        throw new InsufficientStockError(`Stock insuficiente. Stock actual: ${checkResult.rows[0].stock}, ajuste solicitado: ${delta}`);
+    } catch (error) {
+        throw toDbError('Error ajustando stock', error);
     }
-};
\ No newline at end of file
+};
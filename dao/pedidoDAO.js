@@ -1,63 +1,225 @@
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import { buildListQuery, isDateOnly, toPage } from '../utils/queryBuilder.js';
+import { NotFoundError, ValidationError, toDbError } from '../utils/errors.js';
+
 /**
  * Pedido Data Access Object
  * Handles all database operations related to orders
  */
 
+// Order header columns. The test run tag (ejecucion_prueba_id) is
+// bookkeeping for cleanup, not part of the API.
+const HEADER_COLUMNS = [
+    'id', 'cliente_id', 'estado', 'total_items', 'total',
+    'fecha_pedido', 'fecha_actualizacion', 'motivo_cancelacion', 'fecha_cancelacion'
+];
+const HEADER_FIELDS = HEADER_COLUMNS.join(', ');
+const HEADER_FIELDS_P = HEADER_COLUMNS.map(column => `p.${column}`).join(', ');
+
+// Shared SELECT for orders: header joined with its client plus the
+// order lines aggregated as a JSON array (one row per order).
+const ORDER_COLUMNS = `
+        ${HEADER_FIELDS_P},
+        c.nombre as cliente_nombre,
+        c.email as cliente_email,
+        COALESCE(l.lineas, '[]'::json) as lineas`;
+const ORDER_FROM = `
+    FROM pedidos p
+    JOIN clientes c ON p.cliente_id = c.id
+    LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+            'id', lp.id,
+            'producto_id', lp.producto_id,
+            'producto_nombre', i.producto,
+            'cantidad', lp.cantidad,
+            'precio_unitario', lp.precio_unitario::text,
+            'subtotal', lp.subtotal::text
+        ) ORDER BY lp.id) as lineas
+        FROM lineas_pedido lp
+        JOIN inventario i ON lp.producto_id = i.id
+        WHERE lp.pedido_id = p.id
+    ) l ON true
+`;
+const ORDER_SELECT = `SELECT ${ORDER_COLUMNS} ${ORDER_FROM}`;
+
 /**
- * Create a new order
- * @param {Object} order - Order data
- * @param {number} order.cliente_id - Client ID
- * @param {number} order.producto_id - Product ID
- * @param {number} order.cantidad - Quantity ordered
- * @param {number} order.precio_unitario - Unit price
+ * Record a status change in the order history
+ * @param {number} orderId - Order ID
+ * @param {string|null} fromStatus - Previous status (null on creation)
+ * @param {string} toStatus - New status
+ * @param {string|null} reason - Why the status changed
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<Object>} Created order data
+ * @returns {Promise<Object>} Created history entry
  */
-export const createOrder = async (order, dbClient) => {
-    const { cliente_id, producto_id, cantidad, precio_unitario } = order;
-    const total = cantidad * precio_unitario;
+export const addStatusHistory = async (orderId, fromStatus, toStatus, reason, dbClient) => {
+    const query = `
+        INSERT INTO historial_estados_pedido (pedido_id, estado_anterior, estado_nuevo, motivo)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [orderId, fromStatus, toStatus, reason || null]);
+        return result.rows[0];
+    } catch (error) {
+        throw toDbError('Error registrando historial de estado', error);
+    }
+};
+
+/**
+ * Get the status history of an order (oldest first)
+ * @param {number} orderId - Order ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} History entries
+ */
+export const getStatusHistory = async (orderId, dbClient) => {
+    const query = `
+        SELECT * FROM historial_estados_pedido
+        WHERE pedido_id = $1
+        ORDER BY fecha, id
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [orderId]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error obteniendo historial de estados', error);
+    }
+};
+
+/**
+ * Create an order header with no lines yet (totals start at 0)
+ * @param {number} clienteId - Client ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Created order header
+ */
+export const createOrderHeader = async (clienteId, dbClient) => {
+    const query = `
+        INSERT INTO pedidos (cliente_id)
+        VALUES ($1)
+        RETURNING ${HEADER_FIELDS}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [clienteId]);
+        const header = result.rows[0];
+        
+        // Creation is the first entry of the status history
+        await addStatusHistory(header.id, null, header.estado, 'Pedido creado', dbClient);
+        return header;
+    } catch (error) {
+        if (error.code === '23503') { // Foreign key violation
+            throw new NotFoundError(`Cliente con ID ${clienteId} no encontrado`);
+        }
+        throw toDbError('Error creando pedido', error);
+    }
+};
+
+/**
+ * Add a line to an existing order
+ * @param {number} orderId - Order ID
+ * @param {Object} linea - Line data
+ * @param {number} linea.producto_id - Product ID
+ * @param {number} linea.cantidad - Quantity ordered
+ * @param {number} linea.precio_unitario - Unit price
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Created order line
+ */
+export const addOrderLine = async (orderId, linea, dbClient) => {
+    const { producto_id, cantidad, precio_unitario } = linea;
     
     const query = `
-        INSERT INTO pedidos (cliente_id, producto_id, cantidad, precio_unitario, total)
+        INSERT INTO lineas_pedido (pedido_id, producto_id, cantidad, precio_unitario, subtotal)
         VALUES ($1, $2, $3, $4, $5)
         RETURNING *
     `;
     
-    const values = [cliente_id, producto_id, cantidad, precio_unitario, total];
+    const values = [orderId, producto_id, cantidad, precio_unitario, cantidad * precio_unitario];
     
     try {
         const result = await dbClient.query(query, values);
         return result.rows[0];
     } catch (error) {
-        if (error.code === '23503') { // Foreign key violation
-            if (error.detail.includes('clientes')) {
-                throw new Error(`Cliente con ID ${cliente_id} no encontrado`);
+        if (error.code === '23503') { // Foreign key violation (default constraint names)
+            if (error.constraint === 'lineas_pedido_pedido_id_fkey') {
+                throw new NotFoundError(`Pedido con ID ${orderId} no encontrado`);
             }
-            if (error.detail.includes('inventario')) {
-                throw new Error(`Producto con ID ${producto_id} no encontrado`);
+            if (error.constraint === 'lineas_pedido_producto_id_fkey') {
+                throw new NotFoundError(`Producto con ID ${producto_id} no encontrado`);
             }
         }
-        throw new Error(`Error creando pedido: ${error.message}`);
+        throw toDbError('Error agregando línea al pedido', error);
+    }
+};
+
+/**
+ * Recompute order header totals from its lines
+ * @param {number} orderId - Order ID
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Updated order header
+ */
+export const updateOrderTotals = async (orderId, dbClient) => {
+    const query = `
+        UPDATE pedidos p
+        SET total_items = t.total_items,
+            total = t.total,
+            fecha_actualizacion = CURRENT_TIMESTAMP
+        FROM (
+            SELECT COALESCE(SUM(cantidad), 0) as total_items,
+                   COALESCE(SUM(subtotal), 0) as total
+            FROM lineas_pedido
+            WHERE pedido_id = $1
+        ) t
+        WHERE p.id = $1
+        RETURNING ${HEADER_FIELDS_P}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [orderId]);
+        if (result.rows.length === 0) {
+            throw new NotFoundError(`Pedido con ID ${orderId} no encontrado`);
+        }
+        return result.rows[0];
+    } catch (error) {
+        throw toDbError('Error actualizando totales del pedido', error);
     }
 };
 
+/**
+ * Create a new order (header + lines)
+ * @param {Object} order - Order data
+ * @param {number} order.cliente_id - Client ID
+ * @param {Array<Object>} order.lineas - Order lines (see addOrderLine)
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} Created order header with its `lineas`
+ */
+export const createOrder = async (order, dbClient) => {
+    const { cliente_id, lineas } = order;
+    
+    if (!Array.isArray(lineas) || lineas.length === 0) {
+        throw new ValidationError('Error creando pedido: el pedido debe tener al menos una línea');
+    }
+    
+    const header = await createOrderHeader(cliente_id, dbClient);
+    
+    const createdLines = [];
+    for (const linea of lineas) {
+        createdLines.push(await addOrderLine(header.id, linea, dbClient));
+    }
+    
+    const updatedHeader = await updateOrderTotals(header.id, dbClient);
+    return { ...updatedHeader, lineas: createdLines };
+};
+
 /**
  * Get order by ID
  * @param {number} orderId - Order ID
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<Object|null>} Order data or null if not found
+ * @returns {Promise<Object|null>} Order data (with `lineas`) or null if not found
  */
 export const getOrderById = async (orderId, dbClient) => {
     const query = `
-        SELECT 
-            p.*,
-            c.nombre as cliente_nombre,
-            c.email as cliente_email,
-            i.producto as producto_nombre,
-            i.descripcion as producto_descripcion
-        FROM pedidos p
-        JOIN clientes c ON p.cliente_id = c.id
-        JOIN inventario i ON p.producto_id = i.id
+        ${ORDER_SELECT}
         WHERE p.id = $1
     `;
     
@@ -65,7 +227,7 @@ export const getOrderById = async (orderId, dbClient) => {
         const result = await dbClient.query(query, [orderId]);
         return result.rows[0] || null;
     } catch (error) {
-        throw new Error(`Error obteniendo pedido: ${error.message}`);
+        throw toDbError('Error obteniendo pedido', error);
     }
 };
 
@@ -73,16 +235,11 @@ export const getOrderById = async (orderId, dbClient) => {
  * Get orders by client ID
  * @param {number} clientId - Client ID
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<Array>} Array of orders
+ * @returns {Promise<Array>} Array of orders (with `lineas`)
  */
 export const getOrdersByClientId = async (clientId, dbClient) => {
     const query = `
-        SELECT 
-            p.*,
-            i.producto as producto_nombre,
-            i.descripcion as producto_descripcion
-        FROM pedidos p
-        JOIN inventario i ON p.producto_id = i.id
+        ${ORDER_SELECT}
         WHERE p.cliente_id = $1
         ORDER BY p.fecha_pedido DESC
     `;
@@ -91,26 +248,201 @@ export const getOrdersByClientId = async (clientId, dbClient) => {
         const result = await dbClient.query(query, [clientId]);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo pedidos del cliente: ${error.message}`);
+        throw toDbError('Error obteniendo pedidos del cliente', error);
     }
 };
 
 /**
- * Get all orders with client and product details
+ * Get the lifetime figures of a client
+ * Spend and average only count orders that were not cancelled or returned.
+ * @param {number} clientId - Client ID
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<Array>} Array of orders with details
+ * @returns {Promise<Object>} total_pedidos, pedidos_por_estado, gasto_total,
+ *   promedio_pedido, unidades_compradas, primer_pedido and ultimo_pedido
  */
-export const getAllOrders = async (dbClient) => {
+export const getClientOrderSummary = async (clientId, dbClient) => {
     const query = `
         SELECT 
-            p.*,
+            COUNT(*)::int AS total_pedidos,
+            COALESCE(
+                (SELECT json_object_agg(estado, cantidad) FROM (
+                    SELECT estado, COUNT(*)::int AS cantidad
+                    FROM pedidos WHERE cliente_id = $1
+                    GROUP BY estado
+                ) e),
+                '{}'::json
+            ) AS pedidos_por_estado,
+            COALESCE(SUM(total) FILTER (WHERE estado NOT IN ('cancelado', 'devuelto')), 0)::text AS gasto_total,
+            ROUND(AVG(total) FILTER (WHERE estado NOT IN ('cancelado', 'devuelto')), 2)::text AS promedio_pedido,
+            COALESCE(SUM(total_items) FILTER (WHERE estado NOT IN ('cancelado', 'devuelto')), 0)::int AS unidades_compradas,
+            MIN(fecha_pedido) AS primer_pedido,
+            MAX(fecha_pedido) AS ultimo_pedido
+        FROM pedidos
+        WHERE cliente_id = $1
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [clientId]);
+        return result.rows[0];
+    } catch (error) {
+        throw toDbError('Error obteniendo resumen de pedidos del cliente', error);
+    }
+};
+
+/**
+ * Get the products a client bought most (by units, cancelled and returned orders excluded)
+ * @param {number} clientId - Client ID
+ * @param {number} limit - Maximum number of products
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} producto_id, producto, unidades, pedidos and importe per product
+ */
+export const getTopProductsByClient = async (clientId, limit, dbClient) => {
+    const query = `
+        SELECT 
+            l.producto_id,
+            i.producto,
+            SUM(l.cantidad)::int AS unidades,
+            COUNT(DISTINCT l.pedido_id)::int AS pedidos,
+            SUM(l.subtotal)::text AS importe
+        FROM lineas_pedido l
+        JOIN pedidos p ON p.id = l.pedido_id
+        JOIN inventario i ON i.id = l.producto_id
+        WHERE p.cliente_id = $1 AND p.estado NOT IN ('cancelado', 'devuelto')
+        GROUP BY l.producto_id, i.producto
+        ORDER BY unidades DESC, SUM(l.subtotal) DESC, l.producto_id
+        LIMIT $2
+    `;
+    
+    try {
+        const result = await dbClient.query(query, [clientId, limit]);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error obteniendo productos más comprados del cliente', error);
+    }
+};
+
+/**
+ * Filters and sort fields accepted by findOrders (see utils/queryBuilder.js)
+ * `to` with a plain date includes that whole day.
+ */
+export const ORDER_QUERY_SPEC = Object.freeze({
+    filters: {
+        from: { type: 'date', sql: (ph) => `p.fecha_pedido >= ${ph}` },
+        to: {
+            type: 'date',
+            sql: (ph, value) => isDateOnly(value)
+                ? `p.fecha_pedido < ${ph}::date + 1`
+                : `p.fecha_pedido <= ${ph}`
+        },
+        estado: { type: 'enum', values: Object.values(ORDER_STATUS), list: true, sql: (ph) => `p.estado = ANY(${ph}::text[])` },
+        cliente_id: { type: 'integer', sql: (ph) => `p.cliente_id = ${ph}` },
+        producto_id: {
+            type: 'integer',
+            sql: (ph) => `EXISTS (SELECT 1 FROM lineas_pedido lf WHERE lf.pedido_id = p.id AND lf.producto_id = ${ph})`
+        },
+        min_total: { type: 'number', sql: (ph) => `p.total >= ${ph}` },
+        max_total: { type: 'number', sql: (ph) => `p.total <= ${ph}` }
+    },
+    pagination: { defaultLimit: 50, maxLimit: 200 },
+    sort: {
+        fields: {
+            // Nullable: keyset row comparisons need a value on every row
+            fecha: "COALESCE(p.fecha_pedido, '-infinity')",
+            total: 'p.total',
+            total_items: 'p.total_items',
+            estado: 'p.estado',
+            id: 'p.id'
+        },
+        default: 'fecha',
+        direction: 'desc',
+        tieBreaker: 'p.id'
+    }
+});
+
+/**
+ * Find one page of orders matching list query parameters
+ * @param {Object} params - Query parameters (see ORDER_QUERY_SPEC), including `limit` and `cursor`
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object>} { orders, nextCursor, applied } with the filters, sort and limit used
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const findOrders = async (params, dbClient) => {
+    const { where, orderBy, limit, cursorColumns, values, applied, page } = buildListQuery(params, ORDER_QUERY_SPEC);
+    const query = `
+        SELECT ${ORDER_COLUMNS}, ${cursorColumns}
+        ${ORDER_FROM}
+        ${where}
+        ${orderBy}
+        ${limit}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, values);
+        const { rows, nextCursor } = toPage(result.rows, page);
+        return { orders: rows, nextCursor, applied };
+    } catch (error) {
+        throw toDbError('Error buscando pedidos', error);
+    }
+};
+
+/**
+ * Build the export query for orders: same filters and sort as findOrders,
+ * without pagination (exports read every matching row through a cursor)
+ * @param {Object} params - Query parameters (see ORDER_QUERY_SPEC)
+ * @returns {Object} { text, values } ready for DECLARE ... CURSOR FOR
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const buildOrderExportQuery = (params) => {
+    const { where, orderBy, values } = buildListQuery(params, {
+        filters: ORDER_QUERY_SPEC.filters,
+        sort: ORDER_QUERY_SPEC.sort
+    });
+    return { text: `${ORDER_SELECT} ${where} ${orderBy}`, values };
+};
+
+/**
+ * Build the export query for order lines: one row per line with the order
+ * and client columns repeated, for flat formats such as CSV. Orders without
+ * lines still get one row, with the line columns empty. Same filters and
+ * order as buildOrderExportQuery, lines in the order they were added.
+ * @param {Object} params - Query parameters (see ORDER_QUERY_SPEC)
+ * @returns {Object} { text, values } ready for DECLARE ... CURSOR FOR
+ * @throws {BadRequestError} For unknown or invalid parameters
+ */
+export const buildOrderLineExportQuery = (params) => {
+    const { where, orderBy, values } = buildListQuery(params, {
+        filters: ORDER_QUERY_SPEC.filters,
+        sort: ORDER_QUERY_SPEC.sort
+    });
+    const text = `
+        SELECT
+            ${HEADER_FIELDS_P},
             c.nombre as cliente_nombre,
             c.email as cliente_email,
+            lp.id as linea_id,
+            lp.producto_id,
             i.producto as producto_nombre,
-            i.descripcion as producto_descripcion
+            lp.cantidad,
+            lp.precio_unitario,
+            lp.subtotal
         FROM pedidos p
         JOIN clientes c ON p.cliente_id = c.id
-        JOIN inventario i ON p.producto_id = i.id
+        LEFT JOIN lineas_pedido lp ON lp.pedido_id = p.id
+        LEFT JOIN inventario i ON lp.producto_id = i.id
+        ${where}
+        ${orderBy}, lp.id
+    `;
+    return { text, values };
+};
+
+/**
+ * Get all orders with client details and order lines
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Array of orders with details
+ */
+export const getAllOrders = async (dbClient) => {
+    const query = `
+        ${ORDER_SELECT}
         ORDER BY p.fecha_pedido DESC
     `;
     
@@ -118,92 +450,144 @@ export const getAllOrders = async (dbClient) => {
         const result = await dbClient.query(query);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo pedidos: ${error.message}`);
+        throw toDbError('Error obteniendo pedidos', error);
     }
 };
 
 /**
- * Update order status
+ * Update order status and record the change in the history
+ * Transition rules live in utils/orderStatus.js (checked by the service) and
+ * in the pedidos trigger, which rejects illegal transitions with 23514.
  * @param {number} orderId - Order ID
  * @param {string} status - New status
+ * @param {string|null} reason - Why the status changed
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<Object>} Updated order data
  */
-export const updateOrderStatus = async (orderId, status, dbClient) => {
+export const updateOrderStatus = async (orderId, status, reason, dbClient) => {
+    // Self-join so RETURNING can report the status before the update
     const query = `
-        UPDATE pedidos 
-        SET estado = $1
-        WHERE id = $2
-        RETURNING *
+        UPDATE pedidos p
+        SET estado = $1, fecha_actualizacion = CURRENT_TIMESTAMP
+        FROM pedidos anterior
+        WHERE p.id = $2 AND anterior.id = p.id
+        RETURNING ${HEADER_FIELDS_P}, anterior.estado as estado_anterior
     `;
     
     try {
         const result = await dbClient.query(query, [status, orderId]);
         if (result.rows.length === 0) {
-            throw new Error(`Pedido con ID ${orderId} no encontrado`);
+            throw new NotFoundError(`Pedido con ID ${orderId} no encontrado`);
         }
-        return result.rows[0];
+        
+        const { estado_anterior, ...order } = result.rows[0];
+        await addStatusHistory(orderId, estado_anterior, order.estado, reason, dbClient);
+        return order;
     } catch (error) {
-        throw new Error(`Error actualizando estado del pedido: ${error.message}`);
+        throw toDbError('Error actualizando estado del pedido', error);
     }
 };
 
 /**
- * Cancel order (delete)
+ * Lock an order header row for the rest of the transaction
  * @param {number} orderId - Order ID
  * @param {Object} dbClient - Database client for transaction
- * @returns {Promise<boolean>} True if deleted successfully
+ * @returns {Promise<Object|null>} Order header or null if not found
  */
-export const cancelOrder = async (orderId, dbClient) => {
-    // First get order details to restore stock if needed
-    const getOrderQuery = 'SELECT * FROM pedidos WHERE id = $1';
+export const lockOrderForUpdate = async (orderId, dbClient) => {
+    const query = `SELECT ${HEADER_FIELDS} FROM pedidos WHERE id = $1 FOR UPDATE`;
+    
+    try {
+        const result = await dbClient.query(query, [orderId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        throw toDbError('Error bloqueando pedido', error);
+    }
+};
+
+/**
+ * Cancel order (soft cancel)
+ * Keeps the order and its lines for history: only the status changes and
+ * the reason and timestamp are recorded (also in the status history).
+ * @param {number} orderId - Order ID
+ * @param {string} reason - Cancellation reason
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Object|null>} Cancelled order header, or null if the
+ *   order does not exist or was already cancelled
+ */
+export const cancelOrder = async (orderId, reason, dbClient) => {
+    // Self-join so RETURNING can report the status before the update
+    const query = `
+        UPDATE pedidos p
+        SET estado = 'cancelado',
+            motivo_cancelacion = $2,
+            fecha_cancelacion = CURRENT_TIMESTAMP,
+            fecha_actualizacion = CURRENT_TIMESTAMP
+        FROM pedidos anterior
+        WHERE p.id = $1 AND anterior.id = p.id AND p.estado <> 'cancelado'
+        RETURNING ${HEADER_FIELDS_P}, anterior.estado as estado_anterior
+    `;
     
     try {
-        const orderResult = await dbClient.query(getOrderQuery, [orderId]);
-        if (orderResult.rows.length === 0) {
-            throw new Error(`Pedido con ID ${orderId} no encontrado`);
+        const result = await dbClient.query(query, [orderId, reason]);
+        if (result.rows.length === 0) {
+            return null;
         }
         
-        // Delete the order
-        const deleteQuery = 'DELETE FROM pedidos WHERE id = $1';
-        const deleteResult = await dbClient.query(deleteQuery, [orderId]);
-        
-        return {
-            success: deleteResult.rowCount > 0,
-            order: orderResult.rows[0]
-        };
+        const { estado_anterior, ...order } = result.rows[0];
+        await addStatusHistory(orderId, estado_anterior, order.estado, reason, dbClient);
+        return order;
     } catch (error) {
-        throw new Error(`Error cancelando pedido: ${error.message}`);
+        throw toDbError('Error cancelando pedido', error);
     }
 };
 
 /**
  * Get orders by date range
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
+ * Same bounds as the `from` / `to` filters of findOrders, without pagination.
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date (a plain YYYY-MM-DD includes that whole day)
  * @param {Object} dbClient - Database client for transaction
  * @returns {Promise<Array>} Array of orders in date range
  */
 export const getOrdersByDateRange = async (startDate, endDate, dbClient) => {
+    const toParam = (date) => (date instanceof Date ? date.toISOString() : date);
+    const { where, orderBy, values } = buildListQuery(
+        { from: toParam(startDate), to: toParam(endDate) },
+        { filters: ORDER_QUERY_SPEC.filters, sort: ORDER_QUERY_SPEC.sort }
+    );
     const query = `
-        SELECT 
-            p.*,
-            c.nombre as cliente_nombre,
-            c.email as cliente_email,
-            i.producto as producto_nombre,
-            i.descripcion as producto_descripcion
-        FROM pedidos p
-        JOIN clientes c ON p.cliente_id = c.id
-        JOIN inventario i ON p.producto_id = i.id
-        WHERE p.fecha_pedido BETWEEN $1 AND $2
-        ORDER BY p.fecha_pedido DESC
+        ${ORDER_SELECT}
+        ${where}
+        ${orderBy}
+    `;
+    
+    try {
+        const result = await dbClient.query(query, values);
+        return result.rows;
+    } catch (error) {
+        throw toDbError('Error obteniendo pedidos por rango de fecha', error);
+    }
+};
+
+/**
+ * Get the most recent orders
+ * @param {number} limit - Number of orders
+ * @param {Object} dbClient - Database client for transaction
+ * @returns {Promise<Array>} Latest orders (with `lineas`), newest first
+ */
+export const getRecentOrders = async (limit, dbClient) => {
+    const query = `
+        ${ORDER_SELECT}
+        ORDER BY p.fecha_pedido DESC, p.id DESC
+        LIMIT $1
     `;
     
     try {
-        const result = await dbClient.query(query, [startDate, endDate]);
+        const result = await dbClient.query(query, [limit]);
         return result.rows;
     } catch (error) {
-        throw new Error(`Error obteniendo pedidos por rango de fecha: ${error.message}`);
+        throw toDbError('Error obteniendo pedidos recientes', error);
     }
 };
 
@@ -216,8 +600,9 @@ export const getOrderStatistics = async (dbClient) => {
     const query = `
         SELECT 
             COUNT(*) as total_pedidos,
-            SUM(total) as ingresos_totales,
-            AVG(total) as promedio_pedido,
+            COUNT(*) FILTER (WHERE estado = 'cancelado') as pedidos_cancelados,
+            SUM(total) FILTER (WHERE estado <> 'cancelado') as ingresos_totales,
+            AVG(total) FILTER (WHERE estado <> 'cancelado') as promedio_pedido,
             COUNT(DISTINCT cliente_id) as clientes_unicos
         FROM pedidos
     `;
@@ -226,6 +611,6 @@ export const getOrderStatistics = async (dbClient) => {
         const result = await dbClient.query(query);
         return result.rows[0];
     } catch (error) {
-        throw new Error(`Error obteniendo estadísticas de pedidos: ${error.message}`);
+        throw toDbError('Error obteniendo estadísticas de pedidos', error);
     }
 };
\ No newline at end of file
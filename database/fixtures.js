@@ -0,0 +1,162 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { importRecords } from '../services/importService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Fixtures
+ * Seed data lives in database/fixtures/<profile>.json instead of code:
+ *
+ *   {
+ *     "description": "...",
+ *     "extends": "demo",            // optional: start from another profile
+ *     "products": [{ producto, descripcion, precio, stock, stock_minimo }],
+ *     "customers": [{ nombre, email, telefono, direccion }]
+ *   }
+ *
+ * Products are matched by `producto` and customers by `email`, with the same
+ * validation and ledger rules as the CSV import. A profile that extends
+ * another one overrides its entries with the same key and adds the rest.
+ */
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+const PROFILE_KEYS = ['description', 'extends', 'products', 'customers'];
+
+// Profile loaded by `seed` when none is given
+export const DEFAULT_PROFILE = 'dev';
+
+// Fixture sections loaded into the database, with their import resource and key
+const FIXTURE_SECTIONS = Object.freeze({
+    products: { resource: 'inventory', key: 'producto' },
+    customers: { resource: 'customers', key: 'email' }
+});
+
+/**
+ * Names of the available profiles
+ * @returns {Promise<Array<string>>} Profile names
+ */
+export const listProfiles = async () =>
+    (await readdir(FIXTURES_DIR))
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+
+/**
+ * Merge two lists of fixture entries by key (child entries win)
+ * @param {Array<Object>} base - Parent entries
+ * @param {Array<Object>} overrides - Child entries
+ * @param {string} key - Identifying field
+ * @returns {Array<Object>} Merged entries, parent order first
+ */
+const mergeByKey = (base = [], overrides = [], key) => {
+    const merged = new Map(base.map(entry => [entry[key], entry]));
+    for (const entry of overrides) {
+        merged.set(entry[key], { ...merged.get(entry[key]), ...entry });
+    }
+    return [...merged.values()];
+};
+
+/**
+ * Read one profile file and resolve its `extends` chain
+ * @param {string} name - Profile name
+ * @param {Array<string>} chain - Profiles already being resolved (cycle check)
+ * @returns {Promise<Object>} { name, description, products, customers }
+ * @throws {Error} For an unknown profile, a malformed file or an extends cycle
+ */
+export const loadProfile = async (name, chain = []) => {
+    const profiles = await listProfiles();
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name) || !profiles.includes(name)) {
+        throw new Error(`Perfil de fixtures desconocido: ${name}. Disponibles: ${profiles.join(', ')}`);
+    }
+    if (chain.includes(name)) {
+        throw new Error(`Herencia circular de perfiles: ${[...chain, name].join(' -> ')}`);
+    }
+    
+    let profile;
+    try {
+        profile = JSON.parse(await readFile(new URL(`${name}.json`, FIXTURES_DIR), 'utf8'));
+    } catch (error) {
+        throw new Error(`Error leyendo el perfil ${name}: ${error.message}`, { cause: error });
+    }
+    
+    const unknownKeys = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Perfil ${name}: claves desconocidas ${unknownKeys.join(', ')}. Permitidas: ${PROFILE_KEYS.join(', ')}`);
+    }
+    for (const section of ['products', 'customers']) {
+        if (profile[section] !== undefined && !Array.isArray(profile[section])) {
+            throw new Error(`Perfil ${name}: "${section}" debe ser una lista`);
+        }
+    }
+    
+    const parent = profile.extends
+        ? await loadProfile(profile.extends, [...chain, name])
+        : { products: [], customers: [] };
+    
+    return {
+        name,
+        description: profile.description ?? '',
+        products: mergeByKey(parent.products, profile.products, FIXTURE_SECTIONS.products.key),
+        customers: mergeByKey(parent.customers, profile.customers, FIXTURE_SECTIONS.customers.key)
+    };
+};
+
+/**
+ * Apply a profile to the database, one import per section
+ * @param {string} name - Profile name
+ * @param {Object} options - Options for importRecords
+ * @returns {Promise<Object>} Import report per section
+ */
+const applyProfile = async (name, options) => {
+    const profile = await loadProfile(name);
+    const reports = {};
+    
+    for (const [section, { resource }] of Object.entries(FIXTURE_SECTIONS)) {
+        if (profile[section].length > 0) {
+            reports[section] = await importRecords(resource, profile[section], { ...options, note: `Fixtures: ${name}` });
+        }
+    }
+    return reports;
+};
+
+/**
+ * Insert the products and customers of a profile that don't exist yet
+ * Existing rows are left as they are, so it is safe to run repeatedly.
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Import report per section
+ */
+export const loadFixtures = async (name = DEFAULT_PROFILE) => {
+    const reports = await applyProfile(name, { updateExisting: false });
+    logger.info('Fixtures cargados', { profile: name });
+    return reports;
+};
+
+/**
+ * Put the products and customers of a profile back to their fixture values
+ * Missing rows are created; stock differences go through the ledger as
+ * corrections. Rows that are not in the profile are not touched.
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Import report per section
+ */
+export const resetFixtures = async (name = DEFAULT_PROFILE) => {
+    const reports = await applyProfile(name, { updateExisting: true });
+    logger.info('Fixtures restablecidos', { profile: name });
+    return reports;
+};
+
+/**
+ * Compare a profile with the live database (a reset run as a dry run)
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Per section: { missing: [key], different:
+ *   [{ key, fields }], matching: [key], errors }
+ */
+export const diffFixtures = async (name = DEFAULT_PROFILE) => {
+    const reports = await applyProfile(name, { updateExisting: true, dryRun: true });
+    
+    return Object.fromEntries(Object.entries(reports).map(([section, report]) => [section, {
+        missing: report.rows.filter(row => row.action === 'insert').map(row => row.key),
+        different: report.rows.filter(row => row.action === 'update').map(row => ({ key: row.key, fields: row.changes })),
+        matching: report.rows.filter(row => row.action === 'unchanged').map(row => row.key),
+        errors: report.errors
+    }]));
+};
@@ -1,18 +1,28 @@
 import { pool } from '../config/database.js';
+import { migrate, getMigrationStatus } from './migrator.js';
+import { loadFixtures } from './fixtures.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Database initialization script
- * Creates tables, cleans existing data, and inserts fresh initial data
+ * The schema comes from the migrations in database/migrations (see
+ * migrator.js) and seed data from the profiles in database/fixtures (see
+ * fixtures.js). Seeding and wiping are separate, opt-in operations: a normal
+ * start never touches existing data.
  */
 
 /**
  * Unified database cleaning function with multiple modes
  * @param {string} mode - Cleaning mode: 'full', 'test', or 'drop'
- *   - 'full': Truncates all tables and resets identity sequences (for fresh start)
- *   - 'test': Removes only test-generated data (preserves initial seed data)
+ *   - 'full': Truncates all tables and resets identity sequences (schema and
+ *     applied migrations are kept)
+ *   - 'test': Removes the rows tagged by test runs and reverts their
+ *     movimientos_inventario, taking them off the stock (other data and
+ *     stock changed by real operations are untouched)
  *   - 'drop': Drops all tables completely (for complete reset)
+ * @param {Object} options - { runId: with 'test', clean only this run }
  */
-export const cleanDatabase = async (mode = 'full') => {
+export const cleanDatabase = async (mode = 'full', { runId } = {}) => {
     const client = await pool.connect();
     
     try {
@@ -20,63 +30,50 @@ export const cleanDatabase = async (mode = 'full') => {
         
         switch (mode) {
             case 'full':
-                console.log('>> Cleaning all existing data...');
-                
                 // Truncate tables in correct order (respecting foreign key constraints)
+                await client.query('TRUNCATE TABLE claves_idempotencia');
+                await client.query('TRUNCATE TABLE ejecuciones_prueba CASCADE');
+                await client.query('TRUNCATE TABLE movimientos_inventario RESTART IDENTITY CASCADE');
+                await client.query('TRUNCATE TABLE historial_estados_pedido RESTART IDENTITY CASCADE');
+                await client.query('TRUNCATE TABLE lineas_pedido RESTART IDENTITY CASCADE');
                 await client.query('TRUNCATE TABLE pedidos RESTART IDENTITY CASCADE');
                 await client.query('TRUNCATE TABLE clientes RESTART IDENTITY CASCADE'); 
                 await client.query('TRUNCATE TABLE inventario RESTART IDENTITY CASCADE');
                 
-                console.log('>> All existing data cleared');
-                console.log('>> Identity sequences reset to 1');
+                logger.info('All existing data cleared, identity sequences reset to 1');
                 break;
                 
-            case 'test':
-                console.log('>> Cleaning test-generated data...');
-                
-                // Delete test orders (keep initial data intact)
-                await client.query(`
-                    DELETE FROM pedidos 
-                    WHERE cliente_id IN (
-                        SELECT id FROM clientes 
-                        WHERE email LIKE '%@empresa.cl' 
-                           OR email LIKE '%@startup.cl' 
-                           OR email LIKE '%@consultora.cl'
-                           OR email LIKE 'test@%'
-                    )
-                `);
+            case 'test': {
+                const runIds = runId
+                    ? [runId]
+                    : (await client.query('SELECT id FROM ejecuciones_prueba ORDER BY fecha_inicio DESC')).rows.map(row => row.id);
                 
-                // Delete test clients (created during test runs)
-                await client.query(`
-                    DELETE FROM clientes 
-                    WHERE email LIKE '%@empresa.cl' 
-                       OR email LIKE '%@startup.cl' 
-                       OR email LIKE '%@consultora.cl'
-                       OR email LIKE 'test@%'
-                `);
+                for (const id of runIds) {
+                    await removeTestRunData(client, id);
+                }
                 
-                // Reset inventory to initial values
-                await client.query(`
-                    UPDATE inventario SET stock = 
-                        CASE 
-                            WHEN producto = 'Laptop Gaming' THEN 10
-                            WHEN producto = 'Mouse Inalámbrico' THEN 50  
-                            WHEN producto = 'Teclado Mecánico' THEN 25
-                            WHEN producto = 'Monitor 4K' THEN 8
-                            WHEN producto = 'Auriculares Bluetooth' THEN 15
-                            ELSE stock
-                        END
-                `);
+                // A single run stays registered (it may still be going)
+                if (!runId) {
+                    await client.query('DELETE FROM ejecuciones_prueba');
+                }
                 
-                console.log('>> Test data cleaned, inventory reset');
+                logger.info('Test data cleaned, stock movements reverted', { testRuns: runIds.length });
                 break;
+            }
                 
             case 'drop':
-                console.log('>> Dropping all tables...');
+                await client.query('DROP TABLE IF EXISTS claves_idempotencia CASCADE');
+                await client.query('DROP TABLE IF EXISTS ejecuciones_prueba CASCADE');
+                await client.query('DROP TABLE IF EXISTS movimientos_inventario CASCADE');
+                await client.query('DROP TABLE IF EXISTS historial_estados_pedido CASCADE');
+                await client.query('DROP TABLE IF EXISTS lineas_pedido CASCADE');
                 await client.query('DROP TABLE IF EXISTS pedidos CASCADE');
                 await client.query('DROP TABLE IF EXISTS inventario CASCADE');
                 await client.query('DROP TABLE IF EXISTS clientes CASCADE');
-                console.log('>> All tables dropped');
+                await client.query('DROP FUNCTION IF EXISTS validar_transicion_estado_pedido()');
+                // Forget applied migrations too, so the next migrate rebuilds the schema
+                await client.query('DROP TABLE IF EXISTS schema_migrations');
+                logger.info('All tables dropped');
                 break;
                 
             default:
@@ -84,135 +81,118 @@ export const cleanDatabase = async (mode = 'full') => {
         }
         
         await client.query('COMMIT');
-        console.log(`[OK] Database cleaned successfully (mode: ${mode})`);
+        logger.info('Database cleaned', { mode });
         
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error(`[ERROR] Error cleaning database (mode: ${mode}):`, error);
+        logger.error('Error cleaning database', { mode, error });
         throw error;
     } finally {
         client.release();
     }
 };
 
-// Legacy function alias for backward compatibility
-export const cleanTestData = async () => await cleanDatabase('test');
-
-const createTables = async () => {
-    const client = await pool.connect();
+/**
+ * Delete what one test run created and undo its stock changes
+ * Only the run's own movements are reverted: stock changed since by real
+ * orders, cancellations or adjustments stays as it is.
+ * @param {pg.PoolClient} client - Client inside the cleaning transaction
+ * @param {string} runId - Test run id
+ */
+const removeTestRunData = async (client, runId) => {
+    // Order lines and status history cascade with their orders
+    await client.query('DELETE FROM pedidos WHERE ejecucion_prueba_id = $1', [runId]);
     
-    try {
-        await client.query('BEGIN');
-        
-        // Create clientes table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS clientes (
-                id SERIAL PRIMARY KEY,
-                nombre VARCHAR(100) NOT NULL,
-                email VARCHAR(100) UNIQUE NOT NULL,
-                telefono VARCHAR(20),
-                direccion TEXT,
-                fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    // One statement deletes the run's movements, takes their sum off the
+    // stock and off the balance of the movements recorded after them, so the
+    // ledger still adds up to inventario.stock
+    await client.query(`
+        WITH eliminados AS (
+            DELETE FROM movimientos_inventario
+            WHERE ejecucion_prueba_id = $1
+            RETURNING id, producto_id, cantidad
+        ),
+        saldos AS (
+            UPDATE movimientos_inventario m
+            SET saldo = m.saldo - (
+                SELECT SUM(e.cantidad) FROM eliminados e
+                WHERE e.producto_id = m.producto_id AND e.id < m.id
             )
-        `);
-
-        // Create inventario table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS inventario (
-                id SERIAL PRIMARY KEY,
-                producto VARCHAR(100) NOT NULL UNIQUE,
-                descripcion TEXT,
-                precio DECIMAL(10,2) NOT NULL,
-                stock INTEGER NOT NULL DEFAULT 0,
-                stock_minimo INTEGER DEFAULT 5,
-                fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Create pedidos table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS pedidos (
-                id SERIAL PRIMARY KEY,
-                cliente_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
-                producto_id INTEGER NOT NULL REFERENCES inventario(id) ON DELETE RESTRICT,
-                cantidad INTEGER NOT NULL CHECK (cantidad > 0),
-                precio_unitario DECIMAL(10,2) NOT NULL,
-                total DECIMAL(10,2) NOT NULL,
-                estado VARCHAR(20) DEFAULT 'pendiente',
-                fecha_pedido TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Create indexes for better performance
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_pedidos_cliente_id ON pedidos(cliente_id)
-        `);
-        
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_pedidos_producto_id ON pedidos(producto_id)
-        `);
-
-        await client.query('COMMIT');
-        console.log('✓ Tablas creadas exitosamente');
-        
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('✗ Error creando tablas:', error);
-        throw error;
-    } finally {
-        client.release();
-    }
-};
-
-const insertInitialData = async () => {
-    const client = await pool.connect();
+            WHERE m.ejecucion_prueba_id IS DISTINCT FROM $1
+              AND EXISTS (SELECT 1 FROM eliminados e WHERE e.producto_id = m.producto_id AND e.id < m.id)
+        ),
+        totales AS (
+            SELECT producto_id, SUM(cantidad) AS cantidad
+            FROM eliminados
+            GROUP BY producto_id
+        )
+        UPDATE inventario i
+        SET stock = i.stock - t.cantidad, fecha_actualizacion = CURRENT_TIMESTAMP
+        FROM totales t
+        WHERE t.producto_id = i.id AND t.cantidad <> 0
+    `, [runId]);
     
-    try {
-        await client.query('BEGIN');
-        
-        // Insert sample inventory items
-        const inventoryItems = [
-            { producto: 'Laptop Gaming', descripcion: 'Laptop de alta gama para gaming', precio: 1299.99, stock: 10 },
-            { producto: 'Mouse Inalámbrico', descripcion: 'Mouse ergonómico inalámbrico', precio: 29.99, stock: 50 },
-            { producto: 'Teclado Mecánico', descripcion: 'Teclado mecánico RGB', precio: 79.99, stock: 25 },
-            { producto: 'Monitor 4K', descripcion: 'Monitor 27 pulgadas 4K', precio: 399.99, stock: 8 },
-            { producto: 'Auriculares Bluetooth', descripcion: 'Auriculares con cancelación de ruido', precio: 199.99, stock: 15 }
-        ];
+    // Products and customers created by the run, unless real orders use them since
+    await client.query(`
+        DELETE FROM inventario i
+        WHERE i.ejecucion_prueba_id = $1
+          AND NOT EXISTS (SELECT 1 FROM lineas_pedido l WHERE l.producto_id = i.id)
+    `, [runId]);
+    await client.query(`
+        DELETE FROM clientes c
+        WHERE c.ejecucion_prueba_id = $1
+          AND NOT EXISTS (SELECT 1 FROM pedidos p WHERE p.cliente_id = c.id)
+    `, [runId]);
+};
 
-        for (const item of inventoryItems) {
-            await client.query(`
-                INSERT INTO inventario (producto, descripcion, precio, stock)
-                VALUES ($1, $2, $3, $4)
-                ON CONFLICT (producto) DO NOTHING
-            `, [item.producto, item.descripcion, item.precio, item.stock]);
-        }
+/**
+ * Clean test data: one run, or every registered run when no id is given
+ * @param {string} runId - Optional test run id
+ */
+export const cleanTestData = async (runId) => await cleanDatabase('test', { runId });
 
-        await client.query('COMMIT');
-        console.log('✓ Datos iniciales insertados exitosamente');
+/**
+ * Register a test run
+ * Run the suite inside runInTestRun(runId, ...) so its rows get tagged.
+ * @returns {Promise<string>} Run id
+ */
+export const startTestRun = async () => {
+    try {
+        const run = await pool.query('INSERT INTO ejecuciones_prueba DEFAULT VALUES RETURNING id');
+        const runId = run.rows[0].id;
+        logger.info('Test run started', { testRunId: runId });
+        return runId;
         
     } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('✗ Error insertando datos iniciales:', error);
+        logger.error('Error starting test run', { error });
         throw error;
-    } finally {
-        client.release();
     }
 };
 
 /**
- * Initialize the database with tables and initial data
- * Cleans existing data first to ensure fresh state
+ * Prepare the database on server start
+ * Applies pending migrations (or, with migrate off, refuses to start on an
+ * outdated schema) and loads fixtures only when asked to.
+ * @param {Object} options - { migrate: apply pending migrations (default true),
+ *   seed: fixture profile to load, or false (default) }
  */
-export const initializeDatabase = async () => {
+export const initializeDatabase = async ({ migrate: runMigrations = true, seed = false } = {}) => {
     try {
-        console.log('[CONFIG] Inicializando base de datos...');
-        await createTables();
-        await cleanDatabase('full'); // Use unified function for full cleanup
-        await insertInitialData();
-        console.log('[OK] Base de datos inicializada correctamente');
+        if (runMigrations) {
+            await migrate();
+        } else {
+            const pending = (await getMigrationStatus()).filter(migration => !migration.applied);
+            if (pending.length > 0) {
+                throw new Error(`Hay ${pending.length} migración(es) pendiente(s): ejecuta npm run db:migrate`);
+            }
+        }
+        
+        if (seed) {
+            await loadFixtures(seed);
+        }
+        logger.info('Base de datos inicializada correctamente');
     } catch (error) {
-        console.error('[ERROR] Error inicializando base de datos:', error);
+        logger.error('Error inicializando base de datos', { error });
         throw error;
     }
 };
-
@@ -0,0 +1,118 @@
+import { closePool } from '../config/database.js';
+import { migrate, rollback, getMigrationStatus } from './migrator.js';
+import { cleanDatabase } from './init.js';
+import { loadFixtures, resetFixtures, diffFixtures, DEFAULT_PROFILE } from './fixtures.js';
+
+/**
+ * Database command line
+ *   node database/manage.js migrate [--to N]      Apply pending migrations
+ *   node database/manage.js rollback [--steps N]  Revert the last N migrations (default 1)
+ *   node database/manage.js rollback --to N       Revert every migration above version N
+ *   node database/manage.js status                List migrations and whether they are applied
+ *   node database/manage.js seed [profile]        Insert the fixtures of a profile that are missing
+ *   node database/manage.js fixtures load <profile>   Same as seed
+ *   node database/manage.js fixtures reset <profile>  Put fixture rows back to their profile values
+ *   node database/manage.js fixtures diff <profile>   Show how the database differs from a profile
+ *   node database/manage.js wipe --yes            Delete ALL data (keeps the schema)
+ */
+
+// Readable log lines in the terminal unless LOG_FORMAT says otherwise
+process.env.LOG_FORMAT ??= 'pretty';
+
+const USAGE = 'Uso: node database/manage.js <migrate [--to N] | rollback [--steps N | --to N] | status | seed [perfil] | fixtures <load|reset|diff> <perfil> | wipe --yes>';
+
+/**
+ * Read a non-negative integer option (--name N)
+ * @param {Array<string>} args - Command arguments
+ * @param {string} name - Option name without dashes
+ * @returns {number|undefined} Value or undefined if absent
+ */
+const readIntOption = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    if (index === -1) {
+        return undefined;
+    }
+    const value = Number(args[index + 1]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`--${name} debe ser un entero >= 0`);
+    }
+    return value;
+};
+
+/**
+ * Print one line per section of a fixture import
+ * @param {Object} reports - Import report per section
+ */
+const printImportReports = (reports) => {
+    for (const [section, report] of Object.entries(reports)) {
+        console.log(`   ${section}: ${report.inserts} creados, ${report.updates} actualizados, ${report.unchanged + report.skipped} sin cambios`);
+    }
+};
+
+const FIXTURE_ACTIONS = {
+    load: async (profile) => printImportReports(await loadFixtures(profile)),
+    reset: async (profile) => printImportReports(await resetFixtures(profile)),
+    diff: async (profile) => {
+        const diff = await diffFixtures(profile);
+        for (const [section, result] of Object.entries(diff)) {
+            console.log(`${section}:`);
+            result.matching.forEach(key => console.log(`  = ${key}`));
+            result.different.forEach(({ key, fields }) => console.log(`  ~ ${key} (${fields.join(', ')})`));
+            result.missing.forEach(key => console.log(`  + ${key} (no existe en la base de datos)`));
+            result.errors.forEach(error => console.log(`  ! registro ${error.line}: ${error.field ?? ''} ${error.message}`));
+        }
+    }
+};
+
+const COMMANDS = {
+    migrate: async (args) => {
+        const applied = await migrate({ to: readIntOption(args, 'to') });
+        console.log(`>> Migraciones aplicadas: ${applied.length}`);
+    },
+    rollback: async (args) => {
+        const reverted = await rollback({ steps: readIntOption(args, 'steps') ?? 1, to: readIntOption(args, 'to') });
+        console.log(`>> Migraciones revertidas: ${reverted.length}`);
+    },
+    status: async () => {
+        const status = await getMigrationStatus();
+        for (const migration of status) {
+            const state = migration.applied ? `aplicada ${migration.applied_at.toISOString()}` : 'pendiente';
+            const notes = [
+                migration.modified ? 'archivo modificado' : null,
+                migration.name === null ? 'archivo no encontrado' : null
+            ].filter(Boolean);
+            console.log(`${String(migration.version).padStart(3, '0')} ${migration.name ?? '?'} - ${state}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+        }
+    },
+    seed: async ([profile = DEFAULT_PROFILE]) => {
+        printImportReports(await loadFixtures(profile));
+    },
+    fixtures: async ([action, profile = DEFAULT_PROFILE]) => {
+        if (!Object.hasOwn(FIXTURE_ACTIONS, action ?? '')) {
+            throw new Error(`Acción de fixtures inválida: ${action}. Usa: ${Object.keys(FIXTURE_ACTIONS).join(', ')}`);
+        }
+        await FIXTURE_ACTIONS[action](profile);
+    },
+    wipe: async (args) => {
+        if (!args.includes('--yes')) {
+            throw new Error('wipe borra todos los datos: confirma con --yes');
+        }
+        await cleanDatabase('full');
+    }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!Object.hasOwn(COMMANDS, command ?? '')) {
+    console.error(USAGE);
+    process.exitCode = 1;
+} else {
+    try {
+        await COMMANDS[command](args);
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await closePool();
+    }
+}
@@ -0,0 +1,92 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Migration 001: customers, inventory and orders (header + lines)
+ * Uses IF NOT EXISTS so databases created by the old boot-time createTables
+ * are adopted as they are.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS clientes (
+            id SERIAL PRIMARY KEY,
+            nombre VARCHAR(100) NOT NULL,
+            email VARCHAR(100) UNIQUE NOT NULL,
+            telefono VARCHAR(20),
+            direccion TEXT,
+            fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS inventario (
+            id SERIAL PRIMARY KEY,
+            producto VARCHAR(100) NOT NULL UNIQUE,
+            descripcion TEXT,
+            precio DECIMAL(10,2) NOT NULL,
+            stock INTEGER NOT NULL DEFAULT 0,
+            stock_minimo INTEGER DEFAULT 5,
+            fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    // Stock and price can never be negative, whatever path changes them
+    await client.query('ALTER TABLE inventario DROP CONSTRAINT IF EXISTS inventario_stock_check');
+    await client.query('ALTER TABLE inventario ADD CONSTRAINT inventario_stock_check CHECK (stock >= 0)');
+    await client.query('ALTER TABLE inventario DROP CONSTRAINT IF EXISTS inventario_precio_check');
+    await client.query('ALTER TABLE inventario ADD CONSTRAINT inventario_precio_check CHECK (precio >= 0)');
+    
+    // Legacy schema: pedidos used to hold one row per product. Its data was
+    // wiped on every boot back then, so the old table is dropped and
+    // recreated as an order header.
+    const legacyOrders = await client.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'pedidos' AND column_name = 'producto_id'
+    `);
+    if (legacyOrders.rows.length > 0) {
+        await client.query('DROP TABLE pedidos CASCADE');
+        logger.warn('Tabla pedidos (esquema antiguo) reemplazada por cabecera + líneas');
+    }
+    
+    // Order header: one row per checkout
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS pedidos (
+            id SERIAL PRIMARY KEY,
+            cliente_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+            estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+            total_items INTEGER NOT NULL DEFAULT 0 CHECK (total_items >= 0),
+            total DECIMAL(10,2) NOT NULL DEFAULT 0,
+            fecha_pedido TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    // Order lines: one row per product
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS lineas_pedido (
+            id SERIAL PRIMARY KEY,
+            pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+            producto_id INTEGER NOT NULL REFERENCES inventario(id) ON DELETE RESTRICT,
+            cantidad INTEGER NOT NULL CHECK (cantidad > 0),
+            precio_unitario DECIMAL(10,2) NOT NULL,
+            subtotal DECIMAL(10,2) NOT NULL
+        )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_pedidos_cliente_id ON pedidos(cliente_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_lineas_pedido_pedido_id ON lineas_pedido(pedido_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_lineas_pedido_producto_id ON lineas_pedido(producto_id)');
+};
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS lineas_pedido');
+    await client.query('DROP TABLE IF EXISTS pedidos');
+    await client.query('DROP TABLE IF EXISTS inventario');
+    await client.query('DROP TABLE IF EXISTS clientes');
+};
@@ -0,0 +1,89 @@
+/**
+ * Migration 002: order lifecycle in the database
+ * Soft-cancel columns, the status CHECK, the transition trigger and the
+ * status history table. The state list and transitions are a snapshot of
+ * utils/orderStatus.js at the time of writing: a change to the lifecycle
+ * needs a new migration that replaces the constraint and the function.
+ */
+
+const STATUSES = ['pendiente', 'pagado', 'preparado', 'enviado', 'entregado', 'cancelado', 'devuelto'];
+
+const TRANSITIONS = [
+    ['pendiente', 'pagado'],
+    ['pendiente', 'cancelado'],
+    ['pagado', 'preparado'],
+    ['pagado', 'cancelado'],
+    ['preparado', 'enviado'],
+    ['preparado', 'cancelado'],
+    ['enviado', 'entregado'],
+    ['enviado', 'devuelto'],
+    ['entregado', 'devuelto']
+];
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const up = async (client) => {
+    await client.query(`
+        ALTER TABLE pedidos
+            ADD COLUMN IF NOT EXISTS motivo_cancelacion TEXT,
+            ADD COLUMN IF NOT EXISTS fecha_cancelacion TIMESTAMP
+    `);
+    
+    const statusList = STATUSES.map(status => `'${status}'`).join(', ');
+    await client.query('ALTER TABLE pedidos DROP CONSTRAINT IF EXISTS pedidos_estado_check');
+    await client.query(`
+        ALTER TABLE pedidos
+            ADD CONSTRAINT pedidos_estado_check CHECK (estado IN (${statusList}))
+    `);
+    
+    const transitionRows = TRANSITIONS.map(([from, to]) => `('${from}', '${to}')`).join(', ');
+    await client.query(`
+        CREATE OR REPLACE FUNCTION validar_transicion_estado_pedido() RETURNS trigger AS $$
+        BEGIN
+            IF NEW.estado IS DISTINCT FROM OLD.estado AND NOT EXISTS (
+                SELECT 1 FROM (VALUES ${transitionRows}) AS t(desde, hacia)
+                WHERE t.desde = OLD.estado AND t.hacia = NEW.estado
+            ) THEN
+                RAISE EXCEPTION 'Transición de estado inválida: % -> %', OLD.estado, NEW.estado
+                    USING ERRCODE = 'check_violation';
+            END IF;
+            RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS trg_transicion_estado_pedido ON pedidos');
+    await client.query(`
+        CREATE TRIGGER trg_transicion_estado_pedido
+            BEFORE UPDATE OF estado ON pedidos
+            FOR EACH ROW EXECUTE FUNCTION validar_transicion_estado_pedido()
+    `);
+    
+    // One row per status change
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS historial_estados_pedido (
+            id SERIAL PRIMARY KEY,
+            pedido_id INTEGER NOT NULL REFERENCES pedidos(id) ON DELETE CASCADE,
+            estado_anterior VARCHAR(20),
+            estado_nuevo VARCHAR(20) NOT NULL,
+            motivo TEXT,
+            fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_historial_estados_pedido_id ON historial_estados_pedido(pedido_id)');
+};
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS historial_estados_pedido');
+    await client.query('DROP TRIGGER IF EXISTS trg_transicion_estado_pedido ON pedidos');
+    await client.query('DROP FUNCTION IF EXISTS validar_transicion_estado_pedido()');
+    await client.query('ALTER TABLE pedidos DROP CONSTRAINT IF EXISTS pedidos_estado_check');
+    await client.query(`
+        ALTER TABLE pedidos
+            DROP COLUMN IF EXISTS motivo_cancelacion,
+            DROP COLUMN IF EXISTS fecha_cancelacion
+    `);
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 003: Idempotency-Key storage for POST /api/orders
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS claves_idempotencia (
+            clave VARCHAR(255) PRIMARY KEY,
+            hash_solicitud CHAR(64) NOT NULL,
+            pedido_id INTEGER REFERENCES pedidos(id) ON DELETE SET NULL,
+            codigo_respuesta INTEGER,
+            respuesta JSONB,
+            fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            fecha_expiracion TIMESTAMP NOT NULL
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_claves_idempotencia_expiracion ON claves_idempotencia(fecha_expiracion)');
+};
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS claves_idempotencia');
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 004: stock ledger (one row per stock change)
+ * Products that already have stock get an opening 'stock_inicial' movement,
+ * so the ledger adds up to inventario.stock from the start.
+ */
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS movimientos_inventario (
+            id SERIAL PRIMARY KEY,
+            producto_id INTEGER NOT NULL REFERENCES inventario(id) ON DELETE CASCADE,
+            cantidad INTEGER NOT NULL CHECK (cantidad <> 0),
+            saldo INTEGER NOT NULL CHECK (saldo >= 0),
+            motivo VARCHAR(30) NOT NULL,
+            pedido_id INTEGER REFERENCES pedidos(id) ON DELETE SET NULL,
+            nota TEXT,
+            fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_movimientos_inventario_producto_id ON movimientos_inventario(producto_id)');
+    
+    await client.query(`
+        INSERT INTO movimientos_inventario (producto_id, cantidad, saldo, motivo)
+        SELECT id, stock, stock, 'stock_inicial' FROM inventario WHERE stock > 0
+    `);
+};
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const down = async (client) => {
+    await client.query('DROP TABLE IF EXISTS movimientos_inventario');
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 005: test run tagging
+ * Every POST /tests/run is registered in ejecuciones_prueba. Rows written
+ * during the run get its id through the `app.ejecucion_prueba` setting (see
+ * utils/testRun.js), so cleanup deletes exactly what the run created and
+ * reverts the stock movements it recorded.
+ */
+
+const TAGGED_TABLES = ['clientes', 'inventario', 'pedidos', 'movimientos_inventario'];
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const up = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ejecuciones_prueba (
+            id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+            fecha_inicio TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    for (const table of TAGGED_TABLES) {
+        // The setting reads as '' once it was used in the session, hence NULLIF
+        await client.query(`
+            ALTER TABLE ${table}
+                ADD COLUMN IF NOT EXISTS ejecucion_prueba_id UUID
+                DEFAULT NULLIF(current_setting('app.ejecucion_prueba', true), '')::uuid
+        `);
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_${table}_ejecucion_prueba_id ON ${table}(ejecucion_prueba_id)
+                WHERE ejecucion_prueba_id IS NOT NULL
+        `);
+    }
+};
+
+/**
+ * @param {import('pg').PoolClient} client - Client inside the migration transaction
+ */
+export const down = async (client) => {
+    for (const table of TAGGED_TABLES) {
+        await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ejecucion_prueba_id`);
+    }
+    await client.query('DROP TABLE IF EXISTS ejecuciones_prueba');
+};
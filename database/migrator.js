@@ -0,0 +1,256 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { pool } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Migration runner
+ * Applies the numbered files of database/migrations (NNN_name.js, each
+ * exporting `up(client)` and `down(client)`) in order and records them in
+ * `schema_migrations`. Every migration runs in its own transaction together
+ * with its bookkeeping row, so it is applied completely or not at all.
+ *
+ * A session advisory lock is held while migrating: a second instance
+ * starting at the same time waits, then finds nothing left to apply.
+ *
+ * Applied migrations must not be edited; the stored checksum makes such
+ * edits visible in the status report. Schema changes go in a new file.
+ */
+
+const MIGRATIONS_DIR = new URL('./migrations/', import.meta.url);
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary constant shared by every instance of this app
+export const MIGRATION_LOCK_KEY = 730_017;
+
+/**
+ * Load the migration files, sorted by version
+ * @returns {Promise<Array<Object>>} [{ version, name, file, checksum, up, down }]
+ */
+const loadMigrations = async () => {
+    const files = (await readdir(MIGRATIONS_DIR)).filter(file => MIGRATION_FILE_PATTERN.test(file));
+    const migrations = [];
+    
+    for (const file of files) {
+        const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+        const url = new URL(file, MIGRATIONS_DIR);
+        const source = await readFile(url);
+        const module = await import(url);
+        
+        if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+            throw new Error(`La migración ${file} debe exportar up(client) y down(client)`);
+        }
+        migrations.push({
+            version: Number(version),
+            name,
+            file,
+            checksum: createHash('sha256').update(source).digest('hex'),
+            up: module.up,
+            down: module.down
+        });
+    }
+    
+    migrations.sort((a, b) => a.version - b.version);
+    const duplicated = migrations.find((migration, index) => index > 0 && migration.version === migrations[index - 1].version);
+    if (duplicated) {
+        throw new Error(`Versión de migración repetida: ${duplicated.version}`);
+    }
+    return migrations;
+};
+
+/**
+ * Applied migrations by version
+ * @param {Object} client - Database client or pool
+ * @returns {Promise<Map<number, Object>>} version -> { version, name, checksum, applied_at }
+ */
+const getAppliedMigrations = async (client) => {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+};
+
+/**
+ * Check whether `schema_migrations` exists (without creating it)
+ * @param {Object} dbClient - Database client or pool
+ * @returns {Promise<boolean>} True once a migration run created it
+ */
+const hasMigrationsTable = async (dbClient) => {
+    const result = await dbClient.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+    return result.rows[0].present;
+};
+
+/**
+ * Run a function holding the migration lock on a dedicated client
+ * Also creates `schema_migrations` on first use.
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<any>} Result of fn
+ */
+const withMigrationLock = async (fn) => {
+    const client = await pool.connect();
+    let locked = false;
+    
+    try {
+        const attempt = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_KEY]);
+        if (!attempt.rows[0].locked) {
+            logger.info('Otra instancia está migrando, esperando el bloqueo');
+            await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        }
+        locked = true;
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                checksum CHAR(64) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        return await fn(client);
+    } finally {
+        if (locked) {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        }
+        client.release();
+    }
+};
+
+/**
+ * Run one migration step (up or down) in its own transaction
+ * @param {pg.PoolClient} client - Client holding the migration lock
+ * @param {Object} migration - Loaded migration
+ * @param {string} direction - 'up' or 'down'
+ */
+const runStep = async (client, migration, direction) => {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+        logger.info('Migración aplicada', { migration: migration.file, direction });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Error en la migración ${migration.file} (${direction}): ${error.message}`, { cause: error });
+    }
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - { to: last version to apply (default: all) }
+ * @returns {Promise<Array<string>>} Files applied
+ */
+export const migrate = async ({ to = Infinity } = {}) => {
+    const migrations = await loadMigrations();
+    
+    return withMigrationLock(async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+        
+        for (const migration of migrations) {
+            const row = applied.get(migration.version);
+            if (row && row.checksum !== migration.checksum) {
+                logger.warn('La migración cambió después de aplicarse', { migration: migration.file });
+            }
+        }
+        
+        if (pending.length === 0) {
+            logger.info('Esquema al día, no hay migraciones pendientes');
+            return [];
+        }
+        
+        for (const migration of pending) {
+            await runStep(client, migration, 'up');
+        }
+        return pending.map(migration => migration.file);
+    });
+};
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} options - { steps: how many to revert (default 1),
+ *   to: revert every migration above this version (overrides steps; 0 = all) }
+ * @returns {Promise<Array<string>>} Files reverted
+ */
+export const rollback = async ({ steps = 1, to } = {}) => {
+    const migrations = await loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    
+    return withMigrationLock(async (client) => {
+        const appliedVersions = [...(await getAppliedMigrations(client)).keys()].sort((a, b) => b - a);
+        const targets = to === undefined
+            ? appliedVersions.slice(0, steps)
+            : appliedVersions.filter(version => version > to);
+        
+        const missing = targets.filter(version => !byVersion.has(version));
+        if (missing.length > 0) {
+            throw new Error(`No se encontró el archivo de las migraciones aplicadas: ${missing.join(', ')}`);
+        }
+        
+        for (const version of targets) {
+            await runStep(client, byVersion.get(version), 'down');
+        }
+        return targets.map(version => byVersion.get(version).file);
+    });
+};
+
+/**
+ * State of every known or applied migration
+ * Read-only: takes no lock and creates nothing, so it can run while another
+ * instance migrates (it then shows the migrations committed so far).
+ * @returns {Promise<Array<Object>>} [{ version, name, applied, applied_at, modified }]
+ *   where `modified` flags files whose content changed after being applied
+ *   and `name` is null for applied versions whose file no longer exists
+ */
+export const getMigrationStatus = async () => {
+    const migrations = await loadMigrations();
+    const applied = await hasMigrationsTable(pool) ? await getAppliedMigrations(pool) : new Map();
+    
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            applied: Boolean(row),
+            applied_at: row ? row.applied_at : null,
+            modified: Boolean(row) && row.checksum !== migration.checksum
+        };
+    });
+    
+    for (const row of applied.values()) {
+        if (!migrations.some(migration => migration.version === row.version)) {
+            status.push({ version: row.version, name: null, applied: true, applied_at: row.applied_at, modified: false });
+        }
+    }
+    return status.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Schema version compared with the migration files
+ * Cheap enough for the readiness probe: reads the file names and the
+ * applied versions only, without the migration lock.
+ * @param {Object} dbClient - Database client or pool
+ * @returns {Promise<Object>} { current: highest applied version (0 if none),
+ *   latest: highest file version, pending: file versions not applied }
+ */
+export const getSchemaVersion = async (dbClient) => {
+    const fileVersions = (await readdir(MIGRATIONS_DIR))
+        .map(file => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([, version]) => Number(version));
+    
+    const applied = await hasMigrationsTable(dbClient)
+        ? (await dbClient.query('SELECT version FROM schema_migrations')).rows.map(row => row.version)
+        : [];
+    
+    return {
+        current: Math.max(0, ...applied),
+        latest: Math.max(0, ...fileVersions),
+        pending: fileVersions.filter(version => !applied.includes(version)).sort((a, b) => a - b)
+    };
+};
@@ -1,18 +1,84 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { initializeDatabase, cleanTestData } from './database/init.js';
-import { runComprehensiveTestSuite } from './tests/demo.js';
+import { initializeDatabase, cleanTestData, startTestRun } from './database/init.js';
+import { loadFixtures, DEFAULT_PROFILE } from './database/fixtures.js';
+import { runInTestRun } from './utils/testRun.js';
+import { runScenarios } from './tests/scenarioRunner.js';
 import { closePool, getClient } from './config/database.js';
 import * as orderService from './services/orderService.js';
+import * as inventoryService from './services/inventoryService.js';
+import * as customerService from './services/customerService.js';
+import * as exportService from './services/exportService.js';
+import * as importService from './services/importService.js';
+import * as healthService from './services/healthService.js';
 import * as inventarioDAO from './dao/inventarioDAO.js';
 import * as clienteDAO from './dao/clienteDAO.js';
 import * as pedidoDAO from './dao/pedidoDAO.js';
+import { getAllowedTransitions } from './utils/orderStatus.js';
+import { IDEMPOTENCY_HEADER, isValidIdempotencyKey, hashRequestBody } from './utils/idempotency.js';
+import { validate } from './utils/validation.js';
+import {
+    AppError,
+    BadRequestError,
+    NotFoundError,
+    TransientDbError,
+    ERROR_CODES,
+    isTransientDbError
+} from './utils/errors.js';
+import {
+    ORDER_SCHEMA,
+    BATCH_SCHEMA,
+    CANCEL_ORDER_SCHEMA,
+    ORDER_STATUS_SCHEMA,
+    PRODUCT_SCHEMA,
+    PRODUCT_UPDATE_SCHEMA,
+    STOCK_ADJUSTMENT_SCHEMA,
+    CUSTOMER_UPDATE_SCHEMA
+} from './utils/requestSchemas.js';
+import * as idempotenciaDAO from './dao/idempotenciaDAO.js';
+import { logger, withLogContext, newLogId } from './utils/logger.js';
+import { registry as metricsRegistry } from './utils/metrics.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Correlation id: taken from the client when it sends a sane one, else generated
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Polled by probes and scrapers: successful calls are only logged at debug
+const QUIET_PATHS = new Set(['/health', '/health/live', '/health/ready', '/metrics']);
+
+/**
+ * Give every request an id and log it when the response is done
+ * The id is echoed in the X-Request-Id response header and added to every
+ * log entry written while handling the request (transactions included).
+ */
+app.use((req, res, next) => {
+    const clientId = req.get(REQUEST_ID_HEADER);
+    const requestId = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : newLogId();
+    const startedAt = performance.now();
+    
+    res.set(REQUEST_ID_HEADER, requestId);
+    withLogContext({ requestId }, () => {
+        res.on('finish', () => {
+            const level = res.statusCode >= 500 ? 'error'
+                : res.statusCode >= 400 ? 'warn'
+                    : QUIET_PATHS.has(req.path) ? 'debug' : 'info';
+            logger[level]('Request completed', {
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(performance.now() - startedAt),
+                ...(res.locals.error && { code: res.locals.error.code, error: res.locals.error.message })
+            });
+        });
+        next();
+    });
+});
+
 app.use(express.json());
 
 app.get('/', (req, res) => {
@@ -20,195 +86,448 @@ app.get('/', (req, res) => {
         name: 'PostgreSQL Transaction Management System',
         version: '1.0.0',
         endpoints: {
-            'GET /health': 'Health check',
-            'POST /api/orders': 'Create order with transaction',
-            'GET /api/orders': 'List all processed orders', 
-            'GET /api/inventory': 'Show current inventory',
-            'GET /api/customers': 'List all customers',
-            'POST /tests/run': 'Run comprehensive test suite',
+            'GET /health/live': 'Liveness probe (process only, never touches the database)',
+            'GET /health/ready': 'Readiness probe: database query under a timeout, schema version and pool saturation (503 when not ready)',
+            'GET /health': 'Same as /health/ready',
+            'GET /metrics': 'Prometheus metrics (transactions, connection pool, orders and stock)',
+            'POST /api/orders': 'Create order with transaction (optional Idempotency-Key header)',
+            'POST /api/orders/batch': 'Create several orders (body: { mode: independent|atomic|best_effort, stopOnError, orders })',
+            'GET /api/orders': 'List orders with their lines (query: from, to, estado=a,b, cliente_id, producto_id, min_total, max_total, sort=fecha|total|total_items|estado|id, order=asc|desc, limit, cursor)',
+            'GET /api/orders/:id': 'Show one order with its lines',
+            'POST /api/orders/:id/cancel': 'Cancel an order (body: { motivo }) and restore its stock',
+            'PATCH /api/orders/:id/status': 'Move an order along its lifecycle (body: { estado, motivo })',
+            'GET /api/orders/:id/history': 'Status history of an order',
+            'GET /api/inventory': 'Show current inventory (query: producto, min_precio, max_precio, min_stock, max_stock, stock_bajo, sort=producto|precio|stock|fecha_actualizacion|id, order, limit, cursor)',
+            'POST /api/inventory': 'Create a product',
+            'GET /api/inventory/consistency': 'Recompute stock from the movement ledger and report drift',
+            'GET /api/inventory/:id': 'Show one product',
+            'GET /api/inventory/:id/movements': 'Stock movement ledger (kardex) of a product',
+            'PATCH /api/inventory/:id': 'Update product details (not stock)',
+            'POST /api/inventory/:id/adjust': 'Adjust stock (body: { cantidad, motivo: reposicion|merma|devolucion_proveedor|correccion, nota })',
+            'GET /api/customers': 'List customers (query: nombre, email, from, to, sort=fecha_creacion|nombre|email|id, order, limit, cursor)',
+            'GET /api/customers/:id': 'Show one customer',
+            'GET /api/customers/:id/orders': 'Order history of a customer with a lifetime summary (query: ?top=5)',
+            'PATCH /api/customers/:id': 'Update customer details (nombre, email, telefono, direccion)',
+            'DELETE /api/customers/:id': 'Delete a customer without orders',
+            'GET /api/export/:resource': 'Stream orders, customers or inventory as a file (query: format=csv|ndjson plus the list filters and sort)',
+            'POST /api/import/:resource': 'Upsert inventory (by producto) or customers (by email) from a text/csv body (query: dry_run=true to validate and simulate only)',
+            'POST /tests/run': 'Run the transaction scenarios of tests/scenarios (query: ?scenario=id1,id2)',
             'POST /cleanse': 'Clean database (query: ?mode=test|full|orders)'
         }
     });
 });
 
-app.get('/health', async (req, res) => {
+app.get('/health/live', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(healthService.checkLiveness());
+});
+
+app.get(['/health/ready', '/health'], async (req, res) => {
+    const { ready, ...readiness } = await healthService.checkReadiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json(readiness);
+});
+
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+});
+
+/**
+ * Validate the JSON body against a schema (see utils/requestSchemas.js)
+ * A ValidationError goes to the error middleware (422 with one { field,
+ * message } per problem); otherwise req.body is replaced by the validated
+ * value (trimmed strings, defaults applied).
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        req.body = validate(schema, req.body);
+        next();
+    };
+}
+
+/**
+ * Parse a positive integer id route parameter
+ * @param {string} value - Route parameter
+ * @param {string} label - What the id identifies (for the error message)
+ * @returns {number} The id
+ * @throws {BadRequestError} If the value is not a positive integer
+ */
+function parseIdParam(value, label) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new BadRequestError(`Invalid ${label} id`);
+    }
+    return id;
+}
+
+app.post('/api/orders', validateBody(ORDER_SCHEMA), async (req, res) => {
+    // Optional Idempotency-Key: retries with the same key replay the original response
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+        throw new BadRequestError(`Invalid ${IDEMPOTENCY_HEADER} header (1 to 255 characters)`);
+    }
+    
+    const result = await orderService.processCompleteOrder(req.body, {
+        idempotency: idempotencyKey
+            ? { key: idempotencyKey, requestHash: hashRequestBody(req.body) }
+            : undefined
+    });
+    
+    if (result.replayed) {
+        res.set('Idempotent-Replayed', 'true');
+    }
+    
+    res.status(201).json({
+        status: 'success',
+        data: {
+            order_id: result.pedido.id,
+            total_value: result.resumen.valor_total,
+            client: result.cliente.nombre,
+            products: result.resumen.productos_detalle,
+            skipped_products: result.lineas_omitidas,
+            order: result.pedido
+        }
+    });
+});
+
+app.post('/api/orders/batch', validateBody(BATCH_SCHEMA), async (req, res) => {
+    const { orders, mode, stopOnError } = req.body;
+    const result = await orderService.batchProcessOrders(orders, stopOnError, { mode });
+    
+    // 201 all committed, 207 partial success; nothing committed answers with
+    // the status of the first failure (409 stock or email conflict, 422...)
+    const httpStatus = result.failed === 0 ? 201 : (result.successful > 0 ? 207 : result.errors[0].status);
+    
+    res.status(httpStatus).json({
+        status: result.failed === 0 ? 'success' : (result.successful > 0 ? 'partial' : 'error'),
+        data: {
+            mode: result.mode,
+            total: result.total,
+            successful: result.successful,
+            failed: result.failed,
+            failed_index: result.failed_index,
+            items: result.items
+        }
+    });
+});
+
+app.get('/api/orders', async (req, res) => {
+    const client = await getClient();
+    
     try {
-        const summary = await orderService.getOrderSummary();
-        res.json({
-            status: 'healthy',
-            orders: summary.estadisticas?.total_pedidos || 0
-        });
-    } catch (error) {
-        res.status(500).json({
-            status: 'unhealthy', 
-            error: error.message
-        });
+        const { orders, nextCursor, applied } = await pedidoDAO.findOrders(req.query, client);
+        res.json({ status: 'success', data: orders, count: orders.length, next_cursor: nextCursor, query: applied });
+    } finally {
+        client.release();
     }
 });
 
-app.post('/api/orders', async (req, res) => {
+app.get('/api/orders/:id', async (req, res) => {
+    const orderId = parseIdParam(req.params.id, 'order');
+    const client = await getClient();
+    
     try {
-        const { cliente, producto, cantidad, productos, simulateError } = req.body;
-        
-        // Validate client data
-        if (!cliente?.nombre || !cliente?.email) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Missing required client fields (nombre, email)'
-            });
+        const order = await pedidoDAO.getOrderById(orderId, client);
+        if (!order) {
+            throw new NotFoundError(`Order ${orderId} not found`);
         }
-        
-        // Validate product data - either single product or products array
-        const hasSingleProduct = producto && cantidad;
-        const hasMultipleProducts = productos && Array.isArray(productos) && productos.length > 0;
-        
-        if (!hasSingleProduct && !hasMultipleProducts) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Missing product data. Provide either "producto"+"cantidad" or "productos" array'
-            });
+        res.json({ status: 'success', data: order });
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/api/orders/:id/cancel', validateBody(CANCEL_ORDER_SCHEMA), async (req, res) => {
+    const orderId = parseIdParam(req.params.id, 'order');
+    const result = await orderService.cancelOrderAndRestoreInventory(orderId, req.body.motivo);
+    
+    res.json({
+        status: 'success',
+        message: result.mensaje,
+        data: {
+            order: result.order,
+            restored_products: result.productos.map(p => ({ id: p.id, producto: p.producto, stock: p.stock }))
         }
-        
-        // Validate productos array format if provided
-        if (hasMultipleProducts) {
-            const invalidProducts = productos.filter(p => !p.producto || !p.cantidad);
-            if (invalidProducts.length > 0) {
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Invalid productos format. Each item must have "producto" and "cantidad"'
-                });
-            }
+    });
+});
+
+app.patch('/api/orders/:id/status', validateBody(ORDER_STATUS_SCHEMA), async (req, res) => {
+    const orderId = parseIdParam(req.params.id, 'order');
+    const { estado, motivo } = req.body;
+    const result = await orderService.changeOrderStatus(orderId, estado, motivo);
+    
+    res.json({
+        status: 'success',
+        data: {
+            order: result.order,
+            allowed_transitions: result.allowedTransitions
         }
-        
-        let orderData;
-        if (hasSingleProduct) {
-            orderData = { cliente, producto, cantidad: parseInt(cantidad), simulateError };
-        } else {
-            // Convert quantities to integers
-            const processedProducts = productos.map(p => ({
-                producto: p.producto,
-                cantidad: parseInt(p.cantidad)
-            }));
-            orderData = { cliente, productos: processedProducts, simulateError };
+    });
+});
+
+app.get('/api/orders/:id/history', async (req, res) => {
+    const orderId = parseIdParam(req.params.id, 'order');
+    const client = await getClient();
+    
+    try {
+        const order = await pedidoDAO.getOrderById(orderId, client);
+        if (!order) {
+            throw new NotFoundError(`Order ${orderId} not found`);
         }
         
-        const result = await orderService.processCompleteOrder(orderData);
-        
-        res.status(201).json({
+        const history = await pedidoDAO.getStatusHistory(orderId, client);
+        res.json({
             status: 'success',
             data: {
-                orders_created: result.pedidos?.length || 1,
-                total_value: result.resumen?.valor_total || result.total,
-                client: result.cliente.nombre,
-                products: result.resumen?.productos_detalle || [{
-                    producto: result.producto?.producto,
-                    cantidad: result.resumen?.cantidad_pedida
-                }]
+                order_id: orderId,
+                current_status: order.estado,
+                allowed_transitions: getAllowedTransitions(order.estado),
+                history
             }
         });
-        
-    } catch (error) {
-        console.error('Order error:', error.message);
-        res.status(400).json({
-            status: 'error',
-            message: error.message
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/inventory', async (req, res) => {
+    const client = await getClient();
+    
+    try {
+        const { products, nextCursor, applied } = await inventarioDAO.findProducts(req.query, client);
+        res.json({ status: 'success', data: products, count: products.length, next_cursor: nextCursor, query: applied });
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/api/inventory', validateBody(PRODUCT_SCHEMA), async (req, res) => {
+    const created = await inventoryService.createProduct(req.body);
+    res.status(201).json({ status: 'success', data: created });
+});
+
+app.get('/api/inventory/consistency', async (req, res) => {
+    const client = await getClient();
+    
+    try {
+        const products = await inventarioDAO.getStockConsistency(client);
+        const drift = products.filter(product => !product.consistente);
+        res.json({
+            status: 'success',
+            data: {
+                consistent: drift.length === 0,
+                checked: products.length,
+                drift
+            }
         });
+    } finally {
+        client.release();
     }
 });
 
-app.get('/api/orders', async (req, res) => {
+app.get('/api/inventory/:id', async (req, res) => {
+    const productId = parseIdParam(req.params.id, 'product');
+    const client = await getClient();
+    
     try {
-        const client = await getClient();
-        
-        try {
-            const orders = await pedidoDAO.getAllOrders(client);
-            res.json({ status: 'success', data: orders });
-        } finally {
-            client.release();
+        const product = await inventarioDAO.getProductById(productId, client);
+        if (!product) {
+            throw new NotFoundError(`Product ${productId} not found`);
         }
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
+        res.json({ status: 'success', data: product });
+    } finally {
+        client.release();
     }
 });
 
-app.get('/api/inventory', async (req, res) => {
+app.get('/api/inventory/:id/movements', async (req, res) => {
+    const productId = parseIdParam(req.params.id, 'product');
+    const client = await getClient();
+    
     try {
-        const client = await getClient();
-        
-        try {
-            const inventory = await inventarioDAO.getAllProducts(client);
-            res.json({ status: 'success', data: inventory });
-        } finally {
-            client.release();
+        const product = await inventarioDAO.getProductById(productId, client);
+        if (!product) {
+            throw new NotFoundError(`Product ${productId} not found`);
         }
-    } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
+        const movements = await inventarioDAO.getMovementsByProduct(productId, client);
+        res.json({
+            status: 'success',
+            data: {
+                product_id: productId,
+                product: product.producto,
+                current_stock: product.stock,
+                movements
+            }
+        });
+    } finally {
+        client.release();
     }
 });
 
+app.patch('/api/inventory/:id', validateBody(PRODUCT_UPDATE_SCHEMA), async (req, res) => {
+    const productId = parseIdParam(req.params.id, 'product');
+    const updated = await inventoryService.updateProduct(productId, req.body);
+    res.json({ status: 'success', data: updated });
+});
+
+app.post('/api/inventory/:id/adjust', validateBody(STOCK_ADJUSTMENT_SCHEMA), async (req, res) => {
+    const productId = parseIdParam(req.params.id, 'product');
+    const { cantidad, motivo, nota } = req.body;
+    const result = await inventoryService.adjustProductStock(productId, cantidad, motivo, nota ?? null);
+    res.json({ status: 'success', data: result });
+});
+
 app.get('/api/customers', async (req, res) => {
+    const client = await getClient();
+    
     try {
-        const client = await getClient();
-        
-        try {
-            const customers = await clienteDAO.getAllClients(client);
-            res.json({ status: 'success', data: customers });
-        } finally {
-            client.release();
+        const { clients, nextCursor, applied } = await clienteDAO.findClients(req.query, client);
+        res.json({ status: 'success', data: clients, count: clients.length, next_cursor: nextCursor, query: applied });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/customers/:id', async (req, res) => {
+    const clientId = parseIdParam(req.params.id, 'customer');
+    const client = await getClient();
+    
+    try {
+        const customer = await clienteDAO.getClientById(clientId, client);
+        if (!customer) {
+            throw new NotFoundError(`Customer ${clientId} not found`);
         }
+        res.json({ status: 'success', data: customer });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/customers/:id/orders', async (req, res) => {
+    const clientId = parseIdParam(req.params.id, 'customer');
+    
+    const topProducts = req.query.top === undefined ? 5 : Number(req.query.top);
+    if (!Number.isInteger(topProducts) || topProducts < 1 || topProducts > 50) {
+        throw new BadRequestError('"top" must be an integer between 1 and 50');
+    }
+    
+    const history = await customerService.getCustomerOrderHistory(clientId, { topProducts });
+    res.json({
+        status: 'success',
+        data: {
+            customer: history.cliente,
+            summary: history.resumen,
+            orders: history.pedidos
+        }
+    });
+});
+
+app.patch('/api/customers/:id', validateBody(CUSTOMER_UPDATE_SCHEMA), async (req, res) => {
+    const clientId = parseIdParam(req.params.id, 'customer');
+    const updated = await customerService.updateCustomer(clientId, req.body);
+    res.json({ status: 'success', data: updated });
+});
+
+app.delete('/api/customers/:id', async (req, res) => {
+    const clientId = parseIdParam(req.params.id, 'customer');
+    const deleted = await customerService.deleteCustomer(clientId);
+    res.json({ status: 'success', message: `Customer ${clientId} deleted`, data: deleted });
+});
+
+app.get('/api/export/:resource', async (req, res) => {
+    const { format = 'csv', ...params } = req.query;
+    const plan = exportService.prepareExport(req.params.resource, format, params);
+    
+    const fileName = `${plan.resource}-${new Date().toISOString().slice(0, 10)}.${plan.extension}`;
+    res.set('Content-Type', plan.contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    try {
+        const rowCount = await exportService.streamExport(plan, res);
+        logger.info('Export completed', { resource: plan.resource, format: plan.format, rows: rowCount });
+        res.end();
     } catch (error) {
-        res.status(500).json({ status: 'error', message: error.message });
+        if (!res.headersSent) {
+            // Nothing was sent yet: answer with a regular JSON error (res.json
+            // keeps a Content-Type that is already set, so drop the file one)
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            throw error;
+        }
+        // Part of the file is already out: cut the response so the
+        // client sees a failed download instead of a truncated file
+        logger.error('Export aborted mid-stream', { resource: plan.resource, error });
+        res.destroy(error);
+    }
+});
+
+app.post('/api/import/:resource', express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw new BadRequestError('Send the CSV file as the request body with Content-Type: text/csv');
     }
+    
+    const { dry_run: dryRunParam = 'false' } = req.query;
+    if (!['true', 'false'].includes(dryRunParam)) {
+        throw new BadRequestError('"dry_run" must be true or false');
+    }
+    const dryRun = dryRunParam === 'true';
+    
+    // A rejected import (422) carries its report in `data`
+    const report = await importService.importCsv(req.params.resource, req.body, { dryRun });
+    logger.info('Import completed', {
+        resource: req.params.resource,
+        dryRun,
+        inserts: report.inserts,
+        updates: report.updates,
+        errors: report.errors.length
+    });
+    res.json({
+        status: 'success',
+        message: dryRun ? 'Dry run: nothing was saved' : 'Import applied',
+        data: report
+    });
 });
 
 app.post('/tests/run', async (req, res) => {
     try {
-        console.log('\n>> Starting comprehensive test suite...');
+        logger.info('Starting transaction scenarios');
+        
+        // ?scenario=01_new_customer_order,06_insufficient_stock runs only those
+        const only = req.query.scenario ? String(req.query.scenario).split(',').map(id => id.trim()) : undefined;
+        
+        // The scenarios order the products of the test profile: make sure they exist
+        await loadFixtures('test');
         
         // First clean any existing test data to prevent conflicts
         await cleanTestData();
-        console.log('>> Test data cleaned - ready for fresh test run');
+        logger.info('Test data cleaned - ready for fresh test run');
         
-        // Run the test suite
-        const results = await runComprehensiveTestSuite();
+        // Run the scenarios: everything they write is tagged with the run id
+        const runId = await startTestRun();
+        const { summary, scenarios } = await runInTestRun(runId, () =>
+            withLogContext({ testRunId: runId }, () => runScenarios({ only })));
         
-        console.log('\n>> Test data preserved for manual inspection');
-        console.log('>> Use GET /api/orders, /api/customers, /api/inventory to explore test data');
+        logger.info('Test data of the last scenario preserved for manual inspection', { testRunId: runId });
         
-        // Count successful tests
-        const successCount = results.individual.filter(r => r.success).length;
-        const totalTests = results.individual.length;
-        
-        // Prepare response
         res.json({
-            status: 'success',
-            version: 'v2.0_detailed_response', // Version identifier
-            message: 'PostgreSQL Transaction Test Suite Completed Successfully',
+            status: summary.failed === 0 ? 'success' : 'error',
+            test_run_id: runId,
+            message: summary.failed === 0
+                ? `All ${summary.total} transaction scenarios passed`
+                : `${summary.failed} of ${summary.total} transaction scenarios failed`,
             execution: {
                 timestamp: new Date().toISOString(),
-                total_tests_run: totalTests,
-                successful_tests: successCount,
-                failed_tests: totalTests - successCount,
-                success_rate: `${Math.round((successCount / totalTests) * 100)}%`
-            },
-            test_results: {
-                test_1: { customer: 'Juan Carlos Martinez', product: 'Laptop Gaming', expected: 'SUCCESS', result: results.individual[0]?.success ? 'PASSED' : 'FAILED' },
-                test_2: { customer: 'Maria Elena Rodriguez', product: 'Mouse Inalámbrico', expected: 'SUCCESS', result: results.individual[1]?.success ? 'PASSED' : 'FAILED' },
-                test_3: { customer: 'Carlos Alberto Gonzalez', product: 'Monitor 4K', expected: 'SUCCESS', result: results.individual[2]?.success ? 'PASSED' : 'FAILED' },
-                test_4: { customer: 'PEPITO NOMBRE_INCORRECTO', product: 'Teclado Mecánico', expected: 'ROLLBACK', result: results.individual[3]?.success ? 'PASSED' : 'FAILED' }
+                total_scenarios: summary.total,
+                passed: summary.passed,
+                failed: summary.failed,
+                success_rate: summary.total > 0 ? `${Math.round((summary.passed / summary.total) * 100)}%` : 'n/a',
+                duration_ms: summary.duration_ms
             },
-            batch_processing: results.batch || { status: 'not_run' },
-            transaction_features_verified: [
-                'BEGIN/COMMIT/ROLLBACK transaction control',
-                'ACID compliance and data integrity',
-                'Inventory stock validation and updates',
-                'Customer email uniqueness with name matching',
-                'Multi-product order processing',
-                'Error handling with automatic rollback'
-            ],
+            scenarios,
             data_preservation: {
                 status: 'preserved',
-                message: 'Test data kept for manual inspection',
+                message: 'Data of the last scenario kept for manual inspection',
                 inspect_endpoints: [
                     'GET /api/orders - View created orders',
                     'GET /api/customers - View test customers', 
@@ -218,124 +537,187 @@ app.post('/tests/run', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Test suite error:', error.message);
+        logger.error('Test suite error', { error: error.message });
         
         // Clean up only on failure to prevent corrupted test data
         try {
             await cleanTestData();
-            console.log('>> Emergency cleanup completed due to test failure');
+            logger.info('Emergency cleanup completed due to test failure');
         } catch (cleanupError) {
-            console.error('>> Emergency cleanup failed:', cleanupError.message);
+            logger.error('Emergency cleanup failed', { error: cleanupError });
         }
         
-        res.status(500).json({ 
-            status: 'error', 
-            message: error.message,
-            note: 'Test data cleaned due to failure - database reset to clean state'
-        });
+        throw error;
     }
 });
 
+// Modes accepted by POST /cleanse
+const CLEANSE_MODES = Object.freeze({
+    test: 'Clean data created by test runs only (tagged by run id)',
+    full: 'Complete database reset (truncate all tables)',
+    orders: 'Remove orders only (keep customers & inventory)'
+});
+
 app.post('/cleanse', async (req, res) => {
-    try {
-        const mode = req.query.mode || 'test';
-        
-        // Import the unified clean function with different modes
-        const { cleanDatabase } = await import('./database/init.js');
-        
-        let message, description;
-        
-        switch (mode) {
-            case 'test':
-                await cleanDatabase('test');
-                message = 'Test data cleaned successfully';
-                description = 'Removed test customers, orders, and reset inventory to initial values';
-                break;
-                
-            case 'full':
-                await cleanDatabase('full'); 
-                message = 'Database fully reset to initial state';
-                description = 'All data truncated, identity sequences reset, ready for fresh start';
-                break;
-                
-            case 'orders':
-                // Custom mode: clean only orders, keep customers and inventory
-                const client = await getClient();
-                try {
-                    await client.query('DELETE FROM pedidos');
-                    message = 'Orders cleaned successfully';
-                    description = 'All orders removed, customers and inventory preserved';
-                } finally {
-                    client.release();
-                }
-                break;
-                
-            default:
-                return res.status(400).json({
-                    status: 'error',
-                    message: 'Invalid mode. Use: test, full, or orders',
-                    available_modes: {
-                        test: 'Clean test data only (preserve initial seed data)',
-                        full: 'Complete database reset (truncate all tables)', 
-                        orders: 'Remove orders only (keep customers & inventory)'
-                    }
-                });
-        }
-        
-        res.json({
-            status: 'success',
-            message,
-            description,
-            mode: mode,
-            timestamp: new Date().toISOString(),
-            next_steps: {
-                test_again: 'POST /tests/run',
-                check_data: ['GET /api/orders', 'GET /api/customers', 'GET /api/inventory']
-            }
-        });
-        
-    } catch (error) {
-        console.error('Cleanse error:', error.message);
-        res.status(500).json({
-            status: 'error',
-            message: error.message,
-            note: 'Database cleanse failed - check server logs'
+    const mode = req.query.mode || 'test';
+    if (!Object.hasOwn(CLEANSE_MODES, mode)) {
+        throw new BadRequestError('Invalid mode. Use: test, full, or orders', {
+            details: { available_modes: CLEANSE_MODES }
         });
     }
+    
+    // Import the unified clean function with different modes
+    const { cleanDatabase } = await import('./database/init.js');
+    
+    let message, description;
+    
+    switch (mode) {
+        case 'test':
+            await cleanDatabase('test');
+            message = 'Test data cleaned successfully';
+            description = 'Removed the rows created by test runs and reverted their stock movements';
+            break;
+            
+        case 'full':
+            await cleanDatabase('full'); 
+            message = 'Database fully reset to initial state';
+            description = 'All data truncated, identity sequences reset, ready for fresh start';
+            break;
+            
+        case 'orders': {
+            // Custom mode: clean only orders, keep customers and inventory
+            const client = await getClient();
+            try {
+                await client.query('DELETE FROM pedidos');
+                message = 'Orders cleaned successfully';
+                description = 'All orders removed, customers and inventory preserved';
+            } finally {
+                client.release();
+            }
+            break;
+        }
+    }
+    
+    res.json({
+        status: 'success',
+        message,
+        description,
+        mode: mode,
+        timestamp: new Date().toISOString(),
+        next_steps: {
+            test_again: 'POST /tests/run',
+            check_data: ['GET /api/orders', 'GET /api/customers', 'GET /api/inventory']
+        }
+    });
 });
 
 app.use((req, res) => {
-    res.status(404).json({ status: 'error', message: 'Not found' });
+    res.status(404).json({ status: 'error', code: ERROR_CODES.NOT_FOUND, message: 'Not found' });
 });
 
+/**
+ * Error middleware: the single place where errors become HTTP responses
+ * Typed errors (utils/errors.js) answer with their status, `code` and
+ * details; body parser failures with their 4xx; temporary database failures
+ * with 503 and Retry-After; anything else with 500.
+ */
+app.use((error, req, res, next) => {
+    let appError;
+    if (error instanceof AppError) {
+        appError = error;
+    } else if (error.type === 'entity.parse.failed') {
+        appError = new BadRequestError('Malformed JSON body', { code: ERROR_CODES.INVALID_JSON });
+    } else if (Number.isInteger(error.status) && error.status >= 400 && error.status < 500) {
+        // Other body parser errors (body too large, unsupported charset...)
+        appError = new AppError(error.message, { status: error.status, code: ERROR_CODES.BAD_REQUEST });
+    } else if (isTransientDbError(error)) {
+        appError = new TransientDbError(error.message, { cause: error });
+    } else {
+        appError = new AppError(error.message);
+    }
+    
+    // The access log line reports the code and message; 5xx also get the stack here
+    res.locals.error = { code: appError.code, message: appError.message };
+    if (appError.status >= 500) {
+        logger.error('Request failed', { method: req.method, path: req.originalUrl, error });
+    }
+    
+    if (res.headersSent) {
+        return next(error);
+    }
+    
+    // The request itself was fine: the client may send it again later
+    if (appError instanceof TransientDbError) {
+        res.set('Retry-After', '1');
+        return res.status(503).json({
+            status: 'error',
+            code: appError.code,
+            message: 'Operation could not complete due to concurrent updates or a database outage, please retry'
+        });
+    }
+    
+    res.status(appError.status).json({
+        status: 'error',
+        code: appError.code,
+        message: appError.message,
+        ...appError.details
+    });
+});
+
+// Expired idempotency keys are ignored when claimed; this just keeps the table small
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function purgeExpiredIdempotencyKeys() {
+    try {
+        const client = await getClient();
+        try {
+            const deleted = await idempotenciaDAO.purgeExpiredKeys(client);
+            if (deleted > 0) {
+                logger.info('Purged expired idempotency keys', { deleted });
+            }
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        logger.error('Idempotency purge failed', { error });
+    }
+}
+
 async function startServer() {
     try {
-        console.log('>> Initializing database...');
-        await initializeDatabase();
+        logger.info('Initializing database');
+        // Migrations run on start unless DB_MIGRATE_ON_START=false; fixtures
+        // are only loaded with DB_SEED_ON_START=true (profile: DB_SEED_PROFILE)
+        await initializeDatabase({
+            migrate: process.env.DB_MIGRATE_ON_START !== 'false',
+            seed: process.env.DB_SEED_ON_START === 'true' && (process.env.DB_SEED_PROFILE || DEFAULT_PROFILE)
+        });
+        
+        setInterval(purgeExpiredIdempotencyKeys, IDEMPOTENCY_PURGE_INTERVAL_MS).unref();
         
         app.listen(PORT, () => {
-            console.log(`\n>> Server running on port ${PORT}`);
-            console.log(`   Documentation: http://localhost:${PORT}`);
-            console.log(`   Health: http://localhost:${PORT}/health`);
+            logger.info('Server running', {
+                port: Number(PORT),
+                documentation: `http://localhost:${PORT}`,
+                health: `http://localhost:${PORT}/health/ready`,
+                tests: 'POST /tests/run'
+            });
         });
         
-        console.log('>> Ready for API requests');
-        console.log('>> To run tests: POST /tests/run');
-        
     } catch (error) {
-        console.error('>> Startup failed:', error.message);
+        logger.error('Startup failed', { error });
         process.exit(1);
     }
 }
 
 async function gracefulShutdown(signal) {
-    console.log(`\n>> Shutting down (${signal})...`);
+    logger.info('Shutting down', { signal });
     try {
         await closePool();
-        console.log('>> Database closed');
+        logger.info('Database closed');
         process.exit(0);
     } catch (error) {
-        console.error('>> Shutdown error:', error.message);
+        logger.error('Shutdown error', { error });
         process.exit(1);
     }
 }
@@ -343,7 +725,7 @@ async function gracefulShutdown(signal) {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('unhandledRejection', (reason) => {
-    console.error('>> Unhandled rejection:', reason);
+    logger.error('Unhandled rejection', { error: reason });
     gracefulShutdown('unhandledRejection');
 });
 
@@ -0,0 +1,85 @@
+import * as clienteDAO from '../dao/clienteDAO.js';
+import * as pedidoDAO from '../dao/pedidoDAO.js';
+import { TransactionManager, executeTransaction, ISOLATION_LEVELS } from '../utils/transactionManager.js';
+import { NotFoundError, ConflictError, ERROR_CODES } from '../utils/errors.js';
+
+/**
+ * Customer Service
+ * Implements business logic for customer management with transactions
+ */
+
+/**
+ * Update customer details
+ * @param {number} clientId - Client ID
+ * @param {Object} updates - Fields to update (nombre, email, telefono, direccion)
+ * @returns {Promise<Object>} Updated client
+ * @throws {ValidationError} For invalid fields
+ * @throws {NotFoundError} If the client does not exist
+ * @throws {ConflictError} If the new email belongs to another client
+ */
+export const updateCustomer = async (clientId, updates) => {
+    return TransactionManager.executeClientTransaction(async (client) => {
+        const updatedClient = await clienteDAO.updateClient(clientId, updates, client);
+        if (!updatedClient) {
+            throw new NotFoundError(`Cliente con ID ${clientId} no encontrado`);
+        }
+        return updatedClient;
+    }, updates);
+};
+
+/**
+ * Delete a customer
+ * Orders cascade with their client, so a client with orders is never
+ * deleted: that would silently erase sales history.
+ * @param {number} clientId - Client ID
+ * @returns {Promise<Object>} Deleted client
+ * @throws {NotFoundError} If the client does not exist
+ * @throws {ConflictError} If it has orders
+ */
+export const deleteCustomer = async (clientId) => {
+    return TransactionManager.executeClientTransaction(async (client) => {
+        const existingClient = await clienteDAO.lockClientForUpdate(clientId, client);
+        if (!existingClient) {
+            throw new NotFoundError(`Cliente con ID ${clientId} no encontrado`);
+        }
+        
+        const orderCount = await clienteDAO.countClientOrders(clientId, client);
+        if (orderCount > 0) {
+            throw new ConflictError(`El cliente ${clientId} tiene ${orderCount} pedido(s) y no se puede eliminar`, {
+                code: ERROR_CODES.CUSTOMER_HAS_ORDERS,
+                details: { order_count: orderCount }
+            });
+        }
+        
+        await clienteDAO.deleteClient(clientId, client);
+        return existingClient;
+    }, { nombre: `ID ${clientId}` });
+};
+
+/**
+ * Get the order history of a customer with a lifetime summary
+ * Runs in one REPEATABLE READ read-only transaction so the summary always
+ * matches the orders listed.
+ * @param {number} clientId - Client ID
+ * @param {Object} options - { topProducts: number of most-bought products (default 5) }
+ * @returns {Promise<Object>} { cliente, resumen, pedidos }
+ * @throws {NotFoundError} If the client does not exist
+ */
+export const getCustomerOrderHistory = async (clientId, { topProducts = 5 } = {}) => {
+    return executeTransaction(async (client) => {
+        const customer = await clienteDAO.getClientById(clientId, client);
+        if (!customer) {
+            throw new NotFoundError(`Cliente con ID ${clientId} no encontrado`);
+        }
+        
+        const summary = await pedidoDAO.getClientOrderSummary(clientId, client);
+        const mostBought = await pedidoDAO.getTopProductsByClient(clientId, topProducts, client);
+        const orders = await pedidoDAO.getOrdersByClientId(clientId, client);
+        
+        return {
+            cliente: customer,
+            resumen: { ...summary, productos_mas_comprados: mostBought },
+            pedidos: orders
+        };
+    }, { isolationLevel: ISOLATION_LEVELS.REPEATABLE_READ, readOnly: true, operation: 'customer_history' });
+};
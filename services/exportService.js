@@ -0,0 +1,178 @@
+import * as clienteDAO from '../dao/clienteDAO.js';
+import * as inventarioDAO from '../dao/inventarioDAO.js';
+import * as pedidoDAO from '../dao/pedidoDAO.js';
+import { executeTransaction, ISOLATION_LEVELS } from '../utils/transactionManager.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Export Service
+ * Streams orders, customers and inventory as CSV or NDJSON. Rows are read in
+ * batches from a server-side cursor inside one REPEATABLE READ read-only
+ * transaction: the whole export sees a single snapshot and only one batch is
+ * held in memory at a time.
+ */
+
+// Rows fetched from the cursor per round trip
+const FETCH_SIZE = 500;
+
+/**
+ * Export query builder of every exportable resource (filters as in the list endpoints)
+ */
+const EXPORT_SOURCES = Object.freeze({
+    orders: pedidoDAO.buildOrderExportQuery,
+    customers: clienteDAO.buildClientExportQuery,
+    inventory: inventarioDAO.buildProductExportQuery
+});
+
+export const EXPORT_RESOURCES = Object.freeze(Object.keys(EXPORT_SOURCES));
+
+/**
+ * Flat variants for CSV, where a nested JSON array would end up in a single
+ * cell: orders are exported one row per order line
+ */
+const CSV_EXPORT_SOURCES = Object.freeze({
+    orders: pedidoDAO.buildOrderLineExportQuery
+});
+
+/**
+ * Supported formats with their content type and file extension
+ */
+export const EXPORT_FORMATS = Object.freeze({
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+});
+
+/**
+ * Turn a database value into plain text or JSON-friendly data
+ * @param {any} value - Column value from pg
+ * @returns {any} ISO string for dates, value otherwise
+ */
+const normalizeValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Format one CSV cell (RFC 4180 quoting)
+ * Text starting with =, +, -, @ that is not a number or phone is prefixed
+ * with ' so spreadsheets don't evaluate it as a formula.
+ * @param {any} value - Column value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const normalized = normalizeValue(value);
+    let text = typeof normalized === 'object' ? JSON.stringify(normalized) : String(normalized);
+    
+    if (typeof normalized === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Wait until a writable stream can take more data or is closed
+ * @param {import('node:stream').Writable} output - Destination stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (output) => new Promise(resolve => {
+    const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+});
+
+/**
+ * Row serializers per format
+ */
+const SERIALIZERS = Object.freeze({
+    csv: {
+        // The BOM makes spreadsheet apps read the file as UTF-8 (accents, ñ)
+        header: (columns) => `\uFEFF${columns.map(toCsvCell).join(',')}\r\n`,
+        row: (row, columns) => `${columns.map(column => toCsvCell(row[column])).join(',')}\r\n`
+    },
+    ndjson: {
+        header: () => '',
+        row: (row) => `${JSON.stringify(row, (key, value) => normalizeValue(value))}\n`
+    }
+});
+
+/**
+ * Validate an export request and build its query
+ * Runs before anything is written, so errors can still become a 400/404.
+ * @param {string} resource - One of EXPORT_RESOURCES
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} params - Filters and sort (same as the list endpoint)
+ * @returns {Object} Export plan for streamExport
+ * @throws {NotFoundError} For an unknown resource
+ * @throws {BadRequestError} For an unknown format or invalid filters
+ */
+export const prepareExport = (resource, format, params) => {
+    if (!Object.hasOwn(EXPORT_SOURCES, resource)) {
+        throw new NotFoundError(`Recurso de exportación desconocido: ${resource}. Usa: ${EXPORT_RESOURCES.join(', ')}`);
+    }
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        throw new BadRequestError(`Formato de exportación inválido: ${format}. Usa: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    
+    const buildQuery = format === 'csv' && Object.hasOwn(CSV_EXPORT_SOURCES, resource)
+        ? CSV_EXPORT_SOURCES[resource]
+        : EXPORT_SOURCES[resource];
+    
+    return {
+        resource,
+        format,
+        ...EXPORT_FORMATS[format],
+        query: buildQuery(params)
+    };
+};
+
+/**
+ * Stream an export into a writable stream (usually the HTTP response)
+ * Waits for 'drain' when the output buffer is full, and stops (rolling back
+ * the read-only transaction) if the output is closed early.
+ * Retries are disabled: a retry would write the first rows twice.
+ * @param {Object} plan - Result of prepareExport
+ * @param {import('node:stream').Writable} output - Destination
+ * @returns {Promise<number>} Number of rows written
+ */
+export const streamExport = async (plan, output) => {
+    const serializer = SERIALIZERS[plan.format];
+    
+    return executeTransaction(async (client) => {
+        await client.query(`DECLARE exportacion NO SCROLL CURSOR FOR ${plan.query.text}`, plan.query.values);
+        
+        let columns = null;
+        let rowCount = 0;
+        
+        for (;;) {
+            const batch = await client.query(`FETCH ${FETCH_SIZE} FROM exportacion`);
+            
+            if (columns === null) {
+                columns = batch.fields.map(field => field.name);
+                output.write(serializer.header(columns));
+            }
+            if (batch.rows.length === 0) {
+                break;
+            }
+            
+            for (const row of batch.rows) {
+                if (output.destroyed) {
+                    throw new Error(`Exportación de ${plan.resource} interrumpida: el cliente cerró la conexión`);
+                }
+                if (!output.write(serializer.row(row, columns))) {
+                    await waitForDrain(output);
+                }
+                rowCount++;
+            }
+        }
+        
+        await client.query('CLOSE exportacion');
+        return rowCount;
+    }, { isolationLevel: ISOLATION_LEVELS.REPEATABLE_READ, readOnly: true, maxRetries: 0, operation: 'export' });
+};
@@ -0,0 +1,125 @@
+import { pool, getClient } from '../config/database.js';
+import { getSchemaVersion } from '../database/migrator.js';
+
+/**
+ * Health Service
+ * Probes for orchestrators and load balancers:
+ *   - liveness: the process answers; never touches the database, so a
+ *     database outage does not get the process restarted
+ *   - readiness: the database answers a trivial query in time, the schema
+ *     has every migration applied and the pool is not exhausted
+ * Every database check runs under one timeout: a degraded database makes the
+ * probe fail fast instead of hanging.
+ */
+
+// Time the database checks of the readiness probe may take together
+const DEFAULT_READINESS_TIMEOUT_MS = 2000;
+
+/**
+ * Readiness timeout from HEALTH_CHECK_TIMEOUT_MS (milliseconds)
+ * @returns {number} Timeout in milliseconds
+ */
+const getReadinessTimeoutMs = () => {
+    const timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS);
+    return Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : DEFAULT_READINESS_TIMEOUT_MS;
+};
+
+/**
+ * Wait for a promise at most timeoutMs
+ * The work itself is not cancelled: a late client is still released by it.
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeoutMs - Limit in milliseconds
+ * @returns {Promise<any>} Result of the promise
+ * @throws {Error} When the limit is reached first
+ */
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Sin respuesta de la base de datos en ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run the database checks on one pooled client
+ * A client whose query failed or timed out is discarded instead of going
+ * back to the pool, so probes against a hung server don't pile up clients.
+ * @param {number} timeoutMs - query_timeout of the connectivity query
+ * @returns {Promise<Object>} { latencyMs, schema }
+ */
+const queryDatabase = async (timeoutMs) => {
+    const client = await getClient();
+    let failure;
+    try {
+        const startedAt = performance.now();
+        await client.query({ text: 'SELECT 1', query_timeout: timeoutMs });
+        const latencyMs = Math.round(performance.now() - startedAt);
+        
+        return { latencyMs, schema: await getSchemaVersion(client) };
+    } catch (error) {
+        failure = error;
+        throw error;
+    } finally {
+        client.release(failure);
+    }
+};
+
+/**
+ * Pool usage; saturated when every client is checked out and requests queue
+ * @returns {Object} { status, total, idle, in_use, waiting, max, utilization }
+ */
+const checkPool = () => {
+    const { totalCount: total, idleCount: idle, waitingCount: waiting } = pool;
+    const { max } = pool.options;
+    const saturated = waiting > 0 && total >= max;
+    
+    return {
+        status: saturated ? 'fail' : 'ok',
+        total,
+        idle,
+        in_use: total - idle,
+        waiting,
+        max,
+        utilization: Number(((total - idle) / max).toFixed(2)),
+        ...(saturated && { error: `Pool saturado: ${waiting} solicitud(es) esperando un cliente` })
+    };
+};
+
+/**
+ * Liveness probe
+ * @returns {Object} { status: 'alive', uptime_seconds }
+ */
+export const checkLiveness = () => ({
+    status: 'alive',
+    uptime_seconds: Math.round(process.uptime())
+});
+
+/**
+ * Readiness probe
+ * @returns {Promise<Object>} { ready, status: 'ready' | 'not_ready', checks:
+ *   { database, schema, pool } }, each check with status 'ok' or 'fail'
+ */
+export const checkReadiness = async () => {
+    const timeoutMs = getReadinessTimeoutMs();
+    // Taken before the probe borrows a client of its own
+    const poolCheck = checkPool();
+    const checks = {};
+    
+    try {
+        const { latencyMs, schema } = await withTimeout(queryDatabase(timeoutMs), timeoutMs);
+        checks.database = { status: 'ok', latency_ms: latencyMs };
+        checks.schema = {
+            status: schema.pending.length === 0 ? 'ok' : 'fail',
+            version: schema.current,
+            latest: schema.latest,
+            ...(schema.pending.length > 0 && { error: `Migraciones pendientes: ${schema.pending.join(', ')}` })
+        };
+    } catch (error) {
+        checks.database = { status: 'fail', timeout_ms: timeoutMs, error: error.message };
+        checks.schema = { status: 'fail', error: 'No verificado: la base de datos no respondió' };
+    }
+    checks.pool = poolCheck;
+    
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    return { ready, status: ready ? 'ready' : 'not_ready', checks };
+};
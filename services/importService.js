@@ -0,0 +1,361 @@
+import * as clienteDAO from '../dao/clienteDAO.js';
+import * as inventarioDAO from '../dao/inventarioDAO.js';
+import { executeTransaction, isRetryableError } from '../utils/transactionManager.js';
+import { validateClientFields } from '../utils/clientValidation.js';
+import { parseCsv } from '../utils/csv.js';
+import { BadRequestError, ValidationError, NotFoundError, ERROR_CODES } from '../utils/errors.js';
+import { recordStockChange } from '../utils/metrics.js';
+
+/**
+ * Import Service
+ * Loads inventory and customers from CSV. Every row is validated, then all
+ * rows are upserted (by product name or email) in one transaction: either
+ * the whole file is applied or nothing is. A dry run does the same work and
+ * rolls back, returning the report of what would happen.
+ */
+
+// Upper bound of data rows per file
+export const MAX_IMPORT_ROWS = 5000;
+
+// Stock set by an import is recorded in the ledger as a count correction
+const IMPORT_STOCK_REASON = 'correccion';
+const IMPORT_NOTE = 'Importación CSV';
+
+/**
+ * Parse and check one inventory row (CSV cells are strings; empty = not provided)
+ * @param {Object} cells - Non-empty cells by column
+ * @returns {Object} { record, errors }
+ */
+const parseProductRow = (cells) => {
+    const errors = [];
+    const record = {};
+    
+    if (cells.producto !== undefined) {
+        if (cells.producto.length > 100) {
+            errors.push({ field: 'producto', message: 'Máximo 100 caracteres' });
+        }
+        record.producto = cells.producto;
+    }
+    if (cells.descripcion !== undefined) {
+        record.descripcion = cells.descripcion;
+    }
+    if (cells.precio !== undefined) {
+        const precio = Number(cells.precio);
+        if (!Number.isFinite(precio) || precio < 0) {
+            errors.push({ field: 'precio', message: 'Debe ser un número >= 0 (usa punto decimal)' });
+        }
+        record.precio = precio;
+    }
+    for (const field of ['stock', 'stock_minimo']) {
+        if (cells[field] !== undefined) {
+            const value = Number(cells[field]);
+            if (!Number.isInteger(value) || value < 0) {
+                errors.push({ field, message: 'Debe ser un entero >= 0' });
+            }
+            record[field] = value;
+        }
+    }
+    
+    return { record, errors };
+};
+
+/**
+ * Parse and check one customer row
+ * @param {Object} cells - Non-empty cells by column
+ * @returns {Object} { record, errors }
+ */
+const parseClientRow = (cells) => ({
+    record: { ...cells },
+    errors: validateClientFields(cells)
+});
+
+/**
+ * Upsert one product inside the import transaction
+ * Stock of an existing product is treated as a physical count: the
+ * difference goes through adjustStock so the ledger explains it.
+ * @returns {Promise<Object>} { action, id, changes }
+ */
+const upsertProduct = async (record, existing, client, { note }) => {
+    if (!existing) {
+        if (record.precio === undefined) {
+            throw new ValidationError('Falta "precio" para crear el producto', { fields: [{ field: 'precio', message: 'Obligatorio para crear el producto' }] });
+        }
+        const created = await inventarioDAO.createProduct({ stock: 0, ...record }, client);
+        return { action: 'insert', id: created.id, changes: Object.keys(record) };
+    }
+    
+    const updates = {};
+    if (record.descripcion !== undefined && record.descripcion !== existing.descripcion) {
+        updates.descripcion = record.descripcion;
+    }
+    if (record.precio !== undefined && record.precio !== Number(existing.precio)) {
+        updates.precio = record.precio;
+    }
+    if (record.stock_minimo !== undefined && record.stock_minimo !== existing.stock_minimo) {
+        updates.stock_minimo = record.stock_minimo;
+    }
+    
+    const changes = Object.keys(updates);
+    if (changes.length > 0) {
+        await inventarioDAO.updateProduct(existing.id, updates, client);
+    }
+    if (record.stock !== undefined && record.stock !== existing.stock) {
+        const adjustedProduct = await inventarioDAO.adjustStock(existing.id, record.stock - existing.stock, IMPORT_STOCK_REASON, note, client);
+        client.onCommit(() => recordStockChange(adjustedProduct, existing.stock, adjustedProduct.stock));
+        changes.push('stock');
+    }
+    
+    return { action: changes.length > 0 ? 'update' : 'unchanged', id: existing.id, changes };
+};
+
+/**
+ * Upsert one customer inside the import transaction
+ * @returns {Promise<Object>} { action, id, changes }
+ */
+const upsertClient = async (record, existing, client) => {
+    if (!existing) {
+        if (record.nombre === undefined) {
+            throw new ValidationError('Falta "nombre" para crear el cliente', { fields: [{ field: 'nombre', message: 'Obligatorio para crear el cliente' }] });
+        }
+        const created = await clienteDAO.createClient(record, client);
+        return { action: 'insert', id: created.id, changes: Object.keys(record) };
+    }
+    
+    const updates = Object.fromEntries(
+        Object.entries(record).filter(([field, value]) => field !== 'email' && value !== existing[field])
+    );
+    const changes = Object.keys(updates);
+    if (changes.length > 0) {
+        await clienteDAO.updateClient(existing.id, updates, client);
+    }
+    
+    return { action: changes.length > 0 ? 'update' : 'unchanged', id: existing.id, changes };
+};
+
+/**
+ * What each resource imports and how
+ */
+const IMPORTERS = Object.freeze({
+    inventory: {
+        key: 'producto',
+        columns: ['producto', 'descripcion', 'precio', 'stock', 'stock_minimo'],
+        parseRow: parseProductRow,
+        lockExisting: inventarioDAO.lockProductsByNames,
+        upsert: upsertProduct
+    },
+    customers: {
+        key: 'email',
+        columns: ['nombre', 'email', 'telefono', 'direccion'],
+        parseRow: parseClientRow,
+        lockExisting: clienteDAO.lockClientsByEmails,
+        upsert: upsertClient
+    }
+});
+
+export const IMPORT_RESOURCES = Object.freeze(Object.keys(IMPORTERS));
+
+/**
+ * Validate records keyed by the importer key (no database access)
+ * @param {Object} importer - Entry of IMPORTERS
+ * @param {Array<Object>} entries - [{ line, cells }] with non-empty string cells by column
+ * @returns {Object} { rows: [{ line, key, record }], errors }
+ */
+const validateEntries = (importer, entries) => {
+    const errors = [];
+    const rows = [];
+    const seenKeys = new Map();
+    
+    for (const { line, cells } of entries) {
+        const key = cells[importer.key];
+        if (key === undefined) {
+            errors.push({ line, field: importer.key, message: 'Valor obligatorio' });
+            continue;
+        }
+        if (seenKeys.has(key)) {
+            errors.push({ line, field: importer.key, message: `Repetido: ya aparece en la línea ${seenKeys.get(key)}` });
+            continue;
+        }
+        seenKeys.set(key, line);
+        
+        const { record, errors: rowErrors } = importer.parseRow(cells);
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors.map(error => ({ line, ...error })));
+            continue;
+        }
+        rows.push({ line, key, record });
+    }
+    
+    return { rows, errors };
+};
+
+/**
+ * Read the CSV and validate every row (no database access)
+ * @returns {Object} { totalRows, rows: [{ line, key, record }], errors }
+ * @throws {BadRequestError} If the file itself is unusable
+ */
+const readImportFile = (importer, csvText) => {
+    let parsed;
+    try {
+        parsed = parseCsv(csvText);
+    } catch (error) {
+        throw new BadRequestError(error.message);
+    }
+    
+    const { header, rows } = parsed;
+    const unknownColumns = header.filter(column => !importer.columns.includes(column));
+    if (unknownColumns.length > 0) {
+        throw new BadRequestError(`Columnas desconocidas: ${unknownColumns.join(', ')}. Permitidas: ${importer.columns.join(', ')}`);
+    }
+    if (!header.includes(importer.key)) {
+        throw new BadRequestError(`Falta la columna "${importer.key}" (identifica cada fila)`);
+    }
+    if (new Set(header).size !== header.length) {
+        throw new BadRequestError('Hay columnas repetidas en la cabecera');
+    }
+    if (rows.length === 0) {
+        throw new BadRequestError('El archivo no tiene filas de datos');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new BadRequestError(`Máximo ${MAX_IMPORT_ROWS} filas por archivo (recibidas ${rows.length})`);
+    }
+    
+    const errors = [];
+    const entries = [];
+    
+    for (const { line, values } of rows) {
+        if (values.length !== header.length) {
+            errors.push({ line, field: null, message: `Se esperaban ${header.length} columnas y hay ${values.length}` });
+            continue;
+        }
+        
+        const cells = {};
+        header.forEach((column, index) => {
+            const value = values[index].trim();
+            if (value !== '') {
+                cells[column] = value;
+            }
+        });
+        entries.push({ line, cells });
+    }
+    
+    const validated = validateEntries(importer, entries);
+    return { totalRows: rows.length, rows: validated.rows, errors: [...errors, ...validated.errors] };
+};
+
+/**
+ * Apply validated rows in one transaction and build the report
+ * @param {Object} importer - Entry of IMPORTERS
+ * @param {Object} file - Result of readImportFile / readImportRecords
+ * @param {Object} options - { dryRun, updateExisting, note }
+ * @returns {Promise<Object>} Import report (see importCsv)
+ */
+const runImport = (importer, file, { dryRun, updateExisting, note }) => executeTransaction(async (client) => {
+    const errors = [...file.errors];
+    const results = [];
+    
+    const existingRows = await importer.lockExisting(file.rows.map(row => row.key), client);
+    const existingByKey = new Map(existingRows.map(row => [row[importer.key], row]));
+    
+    for (const { line, key, record } of file.rows) {
+        const existing = existingByKey.get(key);
+        if (existing && !updateExisting) {
+            results.push({ line, key, action: 'skipped', id: existing.id, changes: [] });
+            continue;
+        }
+        
+        try {
+            // A failing row is undone on its own so the rest can still be checked
+            const outcome = await client.savepoint(`fila_${line}`, (tx) =>
+                importer.upsert(record, existing, tx, { note }));
+            results.push({ line, key, ...outcome });
+        } catch (error) {
+            // Concurrency conflicts abort the whole import so it is retried
+            if (isRetryableError(error)) {
+                throw error;
+            }
+            errors.push({ line, field: error.fields?.[0]?.field ?? null, message: error.message });
+            results.push({ line, key, action: 'error' });
+        }
+    }
+    
+    errors.sort((a, b) => a.line - b.line);
+    const count = (action) => results.filter(row => row.action === action).length;
+    const report = {
+        dry_run: dryRun,
+        applied: !dryRun && errors.length === 0,
+        total_rows: file.totalRows,
+        inserts: count('insert'),
+        updates: count('update'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+        errors,
+        rows: results
+    };
+    
+    if (errors.length > 0 && !dryRun) {
+        throw new ValidationError(`Importación rechazada: ${errors.length} error(es), no se guardó ninguna fila`, {
+            code: ERROR_CODES.IMPORT_REJECTED,
+            details: { data: report }
+        });
+    }
+    return report;
+}, { rollbackOnly: dryRun, operation: 'import' });
+
+/**
+ * Look up an importer
+ * @throws {NotFoundError} For an unknown resource
+ */
+const getImporter = (resource) => {
+    if (!Object.hasOwn(IMPORTERS, resource)) {
+        throw new NotFoundError(`Recurso de importación desconocido: ${resource}. Usa: ${IMPORT_RESOURCES.join(', ')}`);
+    }
+    return IMPORTERS[resource];
+};
+
+/**
+ * Import a CSV file
+ * @param {string} resource - One of IMPORT_RESOURCES
+ * @param {string} csvText - File content
+ * @param {Object} options - { dryRun: validate and simulate, then roll back }
+ * @returns {Promise<Object>} Report: { dry_run, applied, total_rows, inserts,
+ *   updates, unchanged, skipped, errors: [{ line, field, message }], rows: [{
+ *   line, key, action, id, changes }] }
+ * @throws {NotFoundError} For an unknown resource
+ * @throws {BadRequestError} For an unusable file
+ * @throws {ValidationError} If any row failed and it was not a dry run (the
+ *   report is in `details.data`)
+ */
+export const importCsv = async (resource, csvText, { dryRun = false } = {}) => {
+    const importer = getImporter(resource);
+    const file = readImportFile(importer, csvText);
+    return runImport(importer, file, { dryRun, updateExisting: true, note: IMPORT_NOTE });
+};
+
+/**
+ * Import plain records (e.g. fixture files) with the same rules as a CSV
+ * `line` in the report is the 1-based position of the record in the list.
+ * @param {string} resource - One of IMPORT_RESOURCES
+ * @param {Array<Object>} records - Objects keyed by the CSV columns
+ * @param {Object} options - { dryRun, updateExisting: false leaves existing
+ *   rows as they are (action 'skipped'), note: ledger note for stock changes }
+ * @returns {Promise<Object>} Report as in importCsv
+ * @throws {NotFoundError|BadRequestError|ValidationError} As in importCsv
+ */
+export const importRecords = async (resource, records, { dryRun = false, updateExisting = true, note = IMPORT_NOTE } = {}) => {
+    const importer = getImporter(resource);
+    
+    const entries = records.map((record, index) => {
+        const unknownColumns = Object.keys(record).filter(column => !importer.columns.includes(column));
+        if (unknownColumns.length > 0) {
+            throw new BadRequestError(`Registro ${index + 1}: columnas desconocidas: ${unknownColumns.join(', ')}. Permitidas: ${importer.columns.join(', ')}`);
+        }
+        // Same shape as CSV cells: non-empty strings
+        const cells = Object.fromEntries(Object.entries(record)
+            .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+            .map(([column, value]) => [column, String(value).trim()]));
+        return { line: index + 1, cells };
+    });
+    
+    const { rows, errors } = validateEntries(importer, entries);
+    return runImport(importer, { totalRows: records.length, rows, errors }, { dryRun, updateExisting, note });
+};
@@ -0,0 +1,88 @@
+import * as inventarioDAO from '../dao/inventarioDAO.js';
+import { TransactionManager } from '../utils/transactionManager.js';
+import { ValidationError, NotFoundError, InsufficientStockError } from '../utils/errors.js';
+import { recordStockChange } from '../utils/metrics.js';
+import { ADJUSTMENT_REASONS } from '../utils/stockAdjustments.js';
+
+/**
+ * Inventory Service
+ * Implements business logic for product and stock management with transactions
+ */
+
+/**
+ * Create a new product
+ * @param {Object} product - Product data (producto, descripcion, precio, stock, stock_minimo)
+ * @returns {Promise<Object>} Created product
+ * @throws {ConflictError} If a product with the same name exists
+ */
+export const createProduct = async (product) => {
+    return TransactionManager.executeInventoryTransaction(async (client) => {
+        return inventarioDAO.createProduct(product, client);
+    }, { operacion: 'alta', producto: product.producto, stock: product.stock });
+};
+
+/**
+ * Update product details (not stock: see adjustProductStock)
+ * @param {number} productId - Product ID
+ * @param {Object} updates - Fields to update (producto, descripcion, precio, stock_minimo)
+ * @returns {Promise<Object>} Updated product
+ * @throws {NotFoundError} If the product does not exist
+ * @throws {ConflictError} On a duplicate name
+ */
+export const updateProduct = async (productId, updates) => {
+    return TransactionManager.executeInventoryTransaction(async (client) => {
+        const updatedProduct = await inventarioDAO.updateProduct(productId, updates, client);
+        if (!updatedProduct) {
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
+        }
+        return updatedProduct;
+    }, { operacion: 'actualizacion', productoId: productId, campos: Object.keys(updates) });
+};
+
+/**
+ * Adjust the stock of a product by a positive or negative quantity
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Units to add (positive) or remove (negative), never 0
+ * @param {string} reason - One of ADJUSTMENT_REASONS
+ * @param {string} note - Optional free-text note
+ * @returns {Promise<Object>} Adjustment result with the stock before and after
+ * @throws {ValidationError} For an unknown reason or a sign the reason does not allow
+ * @throws {NotFoundError} If the product does not exist
+ * @throws {InsufficientStockError} If the adjustment would leave negative stock
+ */
+export const adjustProductStock = async (productId, quantity, reason, note = null) => {
+    const allowedSign = ADJUSTMENT_REASONS[reason];
+    if (!allowedSign) {
+        throw new ValidationError(`Motivo de ajuste inválido: ${reason}. Usa: ${Object.keys(ADJUSTMENT_REASONS).join(', ')}`, {
+            fields: [{ field: 'motivo', message: `Usa: ${Object.keys(ADJUSTMENT_REASONS).join(', ')}` }]
+        });
+    }
+    if ((allowedSign === 'positive' && quantity < 0) || (allowedSign === 'negative' && quantity > 0)) {
+        const message = `El motivo "${reason}" solo admite cantidades ${allowedSign === 'positive' ? 'positivas' : 'negativas'}`;
+        throw new ValidationError(message, { fields: [{ field: 'cantidad', message }] });
+    }
+    
+    return TransactionManager.executeInventoryTransaction(async (client) => {
+        // Lock the product row so the before/after values are exact
+        const [lockedProduct] = await inventarioDAO.lockProductsForUpdate([productId], client);
+        if (!lockedProduct) {
+            throw new NotFoundError(`Producto con ID ${productId} no encontrado`);
+        }
+        
+        if (lockedProduct.stock + quantity < 0) {
+            throw new InsufficientStockError(`Stock insuficiente para "${lockedProduct.producto}". Stock actual: ${lockedProduct.stock}, ajuste: ${quantity}`);
+        }
+        
+        const updatedProduct = await inventarioDAO.adjustStock(productId, quantity, reason, note, client);
+        client.onCommit(() => recordStockChange(updatedProduct, lockedProduct.stock, updatedProduct.stock));
+        
+        return {
+            producto: updatedProduct,
+            ajuste: quantity,
+            motivo: reason,
+            nota: note,
+            stock_anterior: lockedProduct.stock,
+            stock_nuevo: updatedProduct.stock
+        };
+    }, { operacion: 'ajuste', productoId: productId, cantidad: quantity, motivo: reason });
+};
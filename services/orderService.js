@@ -1,7 +1,28 @@
 import * as clienteDAO from '../dao/clienteDAO.js';
 import * as inventarioDAO from '../dao/inventarioDAO.js';
 import * as pedidoDAO from '../dao/pedidoDAO.js';
-import { TransactionManager, simulateRandomError, forceError } from '../utils/transactionManager.js';
+import * as idempotenciaDAO from '../dao/idempotenciaDAO.js';
+import {
+    TransactionManager,
+    executeTransaction,
+    isRetryableError,
+    ISOLATION_LEVELS,
+    simulateRandomError,
+    forceError
+} from '../utils/transactionManager.js';
+import { ORDER_STATUS, BATCH_MODES, isValidStatus, canTransition, getAllowedTransitions } from '../utils/orderStatus.js';
+import { getIdempotencyTtlHours } from '../utils/idempotency.js';
+import {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    InsufficientStockError,
+    ERROR_CODES,
+    isBusinessError
+} from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { recordOrder, recordStockChange } from '../utils/metrics.js';
 
 /**
  * Order Service
@@ -9,127 +30,251 @@ import { TransactionManager, simulateRandomError, forceError } from '../utils/tr
  */
 
 /**
- * Process a complete order transaction
- * Creates client, registers order(s), and updates inventory in a single transaction
- * @param {Object} orderData - Complete order information
- * @param {Object} orderData.cliente - Client data
- * @param {string|Array} orderData.producto - Single product name or array of products
- * @param {number|Array} orderData.cantidad - Single quantity or array of quantities
- * @param {Array} orderData.productos - Alternative: array of {producto, cantidad} objects
- * @param {boolean} orderData.simulateError - Whether to simulate an error for testing
- * @returns {Promise<Object>} Complete order result
+ * Normalize order input to always work with an array of products
+ * @param {Object} orderData - Order information (single or multiple products)
+ * @returns {Array<Object>} Array of {producto, cantidad}
  */
-export const processCompleteOrder = async (orderData) => {
-    const { cliente, producto, cantidad, productos, simulateError = false } = orderData;
-    
-    // Normalize input to always work with array of products
-    let productItems = [];
+const normalizeProductItems = (orderData) => {
+    const { producto, cantidad, productos } = orderData;
     
     if (productos && Array.isArray(productos)) {
         // Multiple products format: {productos: [{producto: "name", cantidad: 2}, ...]}
-        productItems = productos;
-    } else if (producto && cantidad) {
+        return productos;
+    }
+    
+    if (producto && cantidad) {
         // Single product format: {producto: "name", cantidad: 2}
-        productItems = [{ producto, cantidad }];
-    } else {
-        throw new Error('Se requiere especificar "producto" y "cantidad", o un array "productos"');
+        return [{ producto, cantidad }];
     }
     
-    return TransactionManager.executeOrderTransaction(async (client) => {
-        let createdClient;
-        let processedProducts = [];
-        let createdOrders = [];
-        let totalOrderValue = 0;
+    throw new ValidationError('Se requiere especificar "producto" y "cantidad", o un array "productos"');
+};
+
+/**
+ * Place one order using an already open transaction
+ * Creates or verifies the client, locks the products, then creates the order
+ * header and one line per product while decrementing stock.
+ *
+ * In best-effort mode (`orderData.bestEffort`) every line runs inside its own
+ * savepoint: a product that is missing or out of stock is rolled back to that
+ * savepoint and reported in `lineas_omitidas` instead of aborting the order.
+ * The order still fails if no line could be placed.
+ * @param {Object} orderData - Complete order information (see processCompleteOrder)
+ * @param {Object} client - Transaction context from executeTransaction
+ * @returns {Promise<Object>} Complete order result
+ */
+const placeOrder = async (orderData, client) => {
+    const { cliente, simulateError = false, bestEffort = false } = orderData;
+    const productItems = normalizeProductItems(orderData);
+    
+    let createdClient;
+    const processedProducts = [];
+    const skippedLines = [];
+    
+    try {
+        // Step 1: Create or verify client
+        createdClient = await clienteDAO.createClient(cliente, client);
+        logger.debug('Cliente verificado', { clienteId: createdClient.id, nombre: createdClient.nombre });
         
-        try {
-            // Step 1: Create or verify client
-            console.log('1. Verificando/creando cliente...');
-            createdClient = await clienteDAO.createClient(cliente, client);
-            console.log(`[OK] Cliente procesado: ${createdClient.nombre} (ID: ${createdClient.id})`);
-            
-            // Step 2: Process each product
-            console.log(`2. Procesando ${productItems.length} producto(s)...`);
-            
-            for (let i = 0; i < productItems.length; i++) {
-                const { producto: productName, cantidad: qty } = productItems[i];
-                console.log(`   2.${i+1}. Verificando producto: ${productName}`);
-                
-                // Find product
-                const foundProduct = await inventarioDAO.getProductByName(productName, client);
-                if (!foundProduct) {
-                    throw new Error(`Producto "${productName}" no encontrado en inventario`);
-                }
-                
-                // Check stock
-                const hasStock = await inventarioDAO.checkStock(foundProduct.id, qty, client);
-                if (!hasStock) {
-                    throw new Error(`Stock insuficiente para "${productName}". Stock actual: ${foundProduct.stock}, solicitado: ${qty}`);
+        // Step 2: Resolve each product by name
+        logger.debug('Procesando productos', { productos: productItems.length, bestEffort });
+        
+        const foundProducts = [];
+        for (let i = 0; i < productItems.length; i++) {
+            const { producto: productName, cantidad: qty } = productItems[i];
+            // Find product
+            const foundProduct = await inventarioDAO.getProductByName(productName, client);
+            if (!foundProduct) {
+                const message = `Producto "${productName}" no encontrado en inventario`;
+                if (bestEffort) {
+                    logger.info('Línea omitida', { producto: productName, motivo: message });
+                    skippedLines.push({ producto: productName, cantidad: qty, motivo: message });
+                    continue;
                 }
-                
-                console.log(`   [OK] ${productName}: Stock ${foundProduct.stock} >= ${qty} solicitado`);
-                processedProducts.push({ ...foundProduct, cantidadPedida: qty });
+                throw new NotFoundError(message);
             }
             
-            // Simulate error for testing ROLLBACK (if requested)
-            if (simulateError) {
-                console.log('[WARNING] Simulando error para prueba de ROLLBACK...');
-                forceError('Error simulado: Problema en el sistema de pagos');
+            foundProducts.push({ id: foundProduct.id, cantidadPedida: qty });
+        }
+        
+        // Lock every product row in ascending ID order before checking
+        // stock, so concurrent checkouts serialize instead of deadlocking
+        const lockedProducts = await inventarioDAO.lockProductsForUpdate(
+            foundProducts.map(p => p.id),
+            client
+        );
+        const lockedById = new Map(lockedProducts.map(p => [p.id, p]));
+        
+        // Check stock against the locked rows (repeated products add up).
+        // In best-effort mode the check happens per line, inside its savepoint.
+        const requestedById = new Map();
+        for (const { id, cantidadPedida: qty } of foundProducts) {
+            const lockedProduct = lockedById.get(id);
+            const requested = (requestedById.get(id) || 0) + qty;
+            requestedById.set(id, requested);
+            
+            if (!bestEffort) {
+                if (lockedProduct.stock < requested) {
+                    throw new InsufficientStockError(`Stock insuficiente para "${lockedProduct.producto}". Stock actual: ${lockedProduct.stock}, solicitado: ${requested}`);
+                }
+                logger.debug('Stock verificado', { producto: lockedProduct.producto, stock: lockedProduct.stock, solicitado: requested });
             }
             
-            // Step 3: Create orders and update inventory
-            console.log('3. Creando pedidos y actualizando inventario...');
+            processedProducts.push({ ...lockedProduct, cantidadPedida: qty });
+        }
+        
+        // Simulate error for testing ROLLBACK (if requested)
+        if (simulateError) {
+            logger.warn('Simulando error para prueba de ROLLBACK');
+            forceError('Error simulado: Problema en el sistema de pagos');
+        }
+        
+        // Step 3: Create order header, then lines while updating inventory
+        const orderHeader = await pedidoDAO.createOrderHeader(createdClient.id, client);
+        const createdLines = [];
+        const placedProducts = [];
+        
+        for (let i = 0; i < processedProducts.length; i++) {
+            const product = processedProducts[i];
             
-            for (let i = 0; i < processedProducts.length; i++) {
-                const product = processedProducts[i];
-                
-                // Create order
-                const orderInfo = {
-                    cliente_id: createdClient.id,
+            const applyLine = async (tx) => {
+                const linea = await pedidoDAO.addOrderLine(orderHeader.id, {
                     producto_id: product.id,
                     cantidad: product.cantidadPedida,
                     precio_unitario: product.precio
-                };
-                
-                const createdOrder = await pedidoDAO.createOrder(orderInfo, client);
-                console.log(`   [OK] Pedido ${i+1}: ${product.producto} x${product.cantidadPedida} = $${createdOrder.total}`);
-                
-                // Update inventory
-                const updatedProduct = await inventarioDAO.updateStock(product.id, product.cantidadPedida, client);
-                console.log(`   [OK] Stock actualizado: ${updatedProduct.producto} (${product.stock} -> ${updatedProduct.stock})`);
-                
-                createdOrders.push(createdOrder);
-                totalOrderValue += parseFloat(createdOrder.total);
+                }, tx);
                 
-                // Update processed product with new stock
-                processedProducts[i] = { ...product, nuevoStock: updatedProduct.stock };
-            }
+                // Update inventory (fails if stock is short)
+                const updatedProduct = await inventarioDAO.updateStock(product.id, product.cantidadPedida, orderHeader.id, tx);
+                return { linea, updatedProduct };
+            };
             
-            // Return complete transaction result
-            return {
-                cliente: createdClient,
-                productos: processedProducts,
-                pedidos: createdOrders,
-                resumen: {
-                    cliente_nombre: createdClient.nombre,
-                    total_productos: processedProducts.length,
-                    total_pedidos: createdOrders.length,
-                    valor_total: totalOrderValue.toFixed(2),
-                    productos_detalle: processedProducts.map(p => ({
-                        producto: p.producto,
-                        cantidad: p.cantidadPedida,
-                        precio_unitario: p.precio,
-                        subtotal: (p.precio * p.cantidadPedida).toFixed(2),
-                        stock_anterior: p.stock,
-                        stock_nuevo: p.nuevoStock
-                    }))
+            let outcome;
+            if (bestEffort) {
+                try {
+                    outcome = await client.savepoint(`linea_${i + 1}`, applyLine);
+                } catch (error) {
+                    // Concurrency conflicts must abort the whole transaction so it is retried
+                    if (isRetryableError(error)) {
+                        throw error;
+                    }
+                    logger.info('Línea omitida', { producto: product.producto, motivo: error.message });
+                    skippedLines.push({ producto: product.producto, cantidad: product.cantidadPedida, motivo: error.message });
+                    continue;
                 }
-            };
+            } else {
+                outcome = await applyLine(client);
+            }
             
-        } catch (error) {
-            console.error(`[ERROR] Error en el paso de procesamiento: ${error.message}`);
-            throw error; // This will trigger ROLLBACK
+            const { linea, updatedProduct } = outcome;
+            logger.debug('Stock actualizado', { producto: updatedProduct.producto, stockAnterior: product.stock, stockNuevo: updatedProduct.stock });
+            
+            createdLines.push(linea);
+            // Keep the processed product with its new stock
+            placedProducts.push({ ...product, nuevoStock: updatedProduct.stock });
+        }
+        
+        if (createdLines.length === 0) {
+            throw new ConflictError('Ningún producto del pedido pudo procesarse', {
+                code: ERROR_CODES.NO_LINES_PLACED,
+                details: { skipped_products: skippedLines }
+            });
+        }
+        
+        const createdOrder = { ...await pedidoDAO.updateOrderTotals(orderHeader.id, client), lineas: createdLines };
+        logger.info('Pedido creado', { pedidoId: createdOrder.id, lineas: createdLines.length, total: createdOrder.total });
+        
+        client.onCommit(() => {
+            recordOrder(placedProducts.map(p => ({ producto: p.producto, cantidad: p.cantidadPedida })));
+            // Repeated products: the last line holds the final stock
+            for (const product of new Map(placedProducts.map(p => [p.id, p])).values()) {
+                recordStockChange(product, product.stock, product.nuevoStock);
+            }
+        });
+        
+        // Return complete transaction result
+        return {
+            cliente: createdClient,
+            pedido: createdOrder,
+            productos: placedProducts,
+            lineas_omitidas: skippedLines,
+            resumen: {
+                pedido_id: createdOrder.id,
+                cliente_nombre: createdClient.nombre,
+                estado: createdOrder.estado,
+                total_productos: placedProducts.length,
+                total_items: createdOrder.total_items,
+                valor_total: parseFloat(createdOrder.total).toFixed(2),
+                productos_detalle: placedProducts.map(p => ({
+                    producto: p.producto,
+                    cantidad: p.cantidadPedida,
+                    precio_unitario: p.precio,
+                    subtotal: (p.precio * p.cantidadPedida).toFixed(2),
+                    stock_anterior: p.stock,
+                    stock_nuevo: p.nuevoStock
+                })),
+                productos_omitidos: skippedLines.length
+            }
+        };
+    
+    } catch (error) {
+        logger.debug('Error procesando el pedido', { error: error.message });
+        throw error; // This will trigger ROLLBACK
+    }
+};
+
+/**
+ * Process a complete order transaction
+ * Creates client, registers one order (header + one line per product),
+ * and updates inventory in a single transaction
+ * @param {Object} orderData - Complete order information
+ * @param {Object} orderData.cliente - Client data
+ * @param {string|Array} orderData.producto - Single product name or array of products
+ * @param {number|Array} orderData.cantidad - Single quantity or array of quantities
+ * @param {Array} orderData.productos - Alternative: array of {producto, cantidad} objects
+ * @param {boolean} orderData.simulateError - Whether to simulate an error for testing
+ * @param {boolean} orderData.bestEffort - Skip failed lines instead of aborting the order
+ * @param {Object} options - Processing options
+ * @param {Object} options.idempotency - { key, requestHash } from the Idempotency-Key header.
+ *   The key and the result are stored in the same transaction as the order; a
+ *   replay returns the stored result with `replayed: true`.
+ * @returns {Promise<Object>} Complete order result
+ * @throws {ValidationError} When the key was used with a different body
+ */
+export const processCompleteOrder = async (orderData, options = {}) => {
+    const { idempotency } = options;
+    
+    // Validate input shape before opening a transaction
+    normalizeProductItems(orderData);
+    
+    return TransactionManager.executeOrderTransaction(async (client) => {
+        if (idempotency) {
+            const claim = await idempotenciaDAO.claimKey(
+                idempotency.key,
+                idempotency.requestHash,
+                getIdempotencyTtlHours(),
+                client
+            );
+            
+            if (!claim.claimed) {
+                if (claim.entry.hash_solicitud !== idempotency.requestHash) {
+                    throw new ValidationError(`La clave de idempotencia "${idempotency.key}" ya se usó con una solicitud distinta`, {
+                        code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED
+                    });
+                }
+                
+                logger.info('Clave de idempotencia repetida: devolviendo la respuesta original', { idempotencyKey: idempotency.key });
+                return { ...claim.entry.respuesta, replayed: true };
+            }
         }
         
+        const result = await placeOrder(orderData, client);
+        
+        if (idempotency) {
+            await idempotenciaDAO.saveResponse(idempotency.key, 201, result, result.pedido.id, client);
+        }
+        
+        return result;
     }, orderData);
 };
 
@@ -145,19 +290,19 @@ export const processOrderWithExistingClient = async (orderData) => {
         // Verify client exists
         const existingClient = await clienteDAO.getClientById(cliente_id, client);
         if (!existingClient) {
-            throw new Error(`Cliente con ID ${cliente_id} no encontrado`);
+            throw new NotFoundError(`Cliente con ID ${cliente_id} no encontrado`);
         }
         
         // Find product
         const foundProduct = await inventarioDAO.getProductByName(producto, client);
         if (!foundProduct) {
-            throw new Error(`Producto "${producto}" no encontrado`);
+            throw new NotFoundError(`Producto "${producto}" no encontrado`);
         }
         
-        // Check stock
+        // Check stock (locks the product row until COMMIT/ROLLBACK)
         const hasStock = await inventarioDAO.checkStock(foundProduct.id, cantidad, client);
         if (!hasStock) {
-            throw new Error(`Stock insuficiente para "${producto}"`);
+            throw new InsufficientStockError(`Stock insuficiente para "${producto}"`);
         }
         
         // Simulate error if requested
@@ -165,98 +310,280 @@ export const processOrderWithExistingClient = async (orderData) => {
             simulateRandomError(1.0, 'Error simulado en procesamiento de pedido');
         }
         
-        // Create order
+        // Create order with a single line
         const orderInfo = {
             cliente_id: existingClient.id,
-            producto_id: foundProduct.id,
-            cantidad: cantidad,
-            precio_unitario: foundProduct.precio
+            lineas: [{
+                producto_id: foundProduct.id,
+                cantidad: cantidad,
+                precio_unitario: foundProduct.precio
+            }]
         };
         const createdOrder = await pedidoDAO.createOrder(orderInfo, client);
         
         // Update inventory
-        const updatedProduct = await inventarioDAO.updateStock(foundProduct.id, cantidad, client);
+        const updatedProduct = await inventarioDAO.updateStock(foundProduct.id, cantidad, createdOrder.id, client);
+        client.onCommit(() => {
+            recordOrder([{ producto: updatedProduct.producto, cantidad }]);
+            recordStockChange(updatedProduct, updatedProduct.stock + cantidad, updatedProduct.stock);
+        });
         
         return {
             cliente: existingClient,
             producto: updatedProduct,
             pedido: createdOrder
         };
-        
+    
     }, orderData);
 };
 
+/**
+ * Cancel an order inside an already open transaction (see cancelOrderAndRestoreInventory)
+ * @param {number} orderId - Order ID to cancel
+ * @param {string} reason - Cancellation reason
+ * @param {Object} client - Transaction context from executeTransaction
+ * @returns {Promise<Object>} Cancellation result
+ */
+const cancelOrderInTransaction = async (orderId, reason, client) => {
+    // Lock the order so two cancellations can't both restore stock
+    const lockedOrder = await pedidoDAO.lockOrderForUpdate(orderId, client);
+    if (!lockedOrder) {
+        throw new NotFoundError(`Pedido con ID ${orderId} no encontrado`);
+    }
+    
+    if (lockedOrder.estado === ORDER_STATUS.CANCELADO) {
+        throw new ConflictError(`El pedido ${orderId} ya está cancelado`, {
+            code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+            details: {
+                current_status: lockedOrder.estado,
+                allowed_transitions: getAllowedTransitions(lockedOrder.estado)
+            }
+        });
+    }
+    
+    if (!canTransition(lockedOrder.estado, ORDER_STATUS.CANCELADO)) {
+        throw new ConflictError(`Un pedido en estado "${lockedOrder.estado}" no se puede cancelar`, {
+            code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+            details: {
+                current_status: lockedOrder.estado,
+                allowed_transitions: getAllowedTransitions(lockedOrder.estado)
+            }
+        });
+    }
+    
+    // Get order lines
+    const order = await pedidoDAO.getOrderById(orderId, client);
+    
+    // Cancel order (status + reason + timestamp, nothing is deleted)
+    const cancelledOrder = await pedidoDAO.cancelOrder(orderId, reason, client);
+    
+    // Restore inventory for every order line, in product ID order so the
+    // row locks are taken in the same order as in processCompleteOrder
+    const lineasByProduct = [...order.lineas].sort((a, b) => a.producto_id - b.producto_id);
+    const restoredProducts = [];
+    for (const linea of lineasByProduct) {
+        const restoredProduct = await inventarioDAO.restoreStock(
+            linea.producto_id, 
+            linea.cantidad, 
+            orderId,
+            client
+        );
+        restoredProducts.push(restoredProduct);
+    }
+    
+    return {
+        order: { ...cancelledOrder, lineas: order.lineas },
+        productos: restoredProducts,
+        mensaje: `Pedido ${orderId} cancelado y stock restaurado`
+    };
+};
+
 /**
  * Cancel order and restore inventory
+ * Soft cancel: the order keeps its lines and history, its status becomes
+ * 'cancelado' with the reason and timestamp, and the stock of every line is
+ * given back, all in the same transaction.
  * @param {number} orderId - Order ID to cancel
+ * @param {string} reason - Cancellation reason
  * @returns {Promise<Object>} Cancellation result
+ * @throws {NotFoundError} If the order does not exist
+ * @throws {ConflictError} If it is already cancelled or its status no longer
+ *   allows cancelling (with `current_status` and `allowed_transitions`)
  */
-export const cancelOrderAndRestoreInventory = async (orderId) => {
+export const cancelOrderAndRestoreInventory = async (orderId, reason) => {
+    return TransactionManager.executeOrderTransaction(
+        async (client) => cancelOrderInTransaction(orderId, reason, client),
+        { orderId }
+    );
+};
+
+/**
+ * Move an order to a new status following the lifecycle in utils/orderStatus.js
+ * Moving to 'cancelado' goes through the cancellation flow (stock is restored).
+ * @param {number} orderId - Order ID
+ * @param {string} newStatus - Requested status
+ * @param {string} reason - Why the status changes (stored in the history)
+ * @returns {Promise<Object>} Updated order and its allowed next states
+ * @throws {ValidationError} For unknown states
+ * @throws {NotFoundError} If the order does not exist
+ * @throws {ConflictError} For illegal transitions (with `allowed_transitions`)
+ */
+export const changeOrderStatus = async (orderId, newStatus, reason) => {
+    if (!isValidStatus(newStatus)) {
+        throw new ValidationError(`Estado "${newStatus}" no existe`, {
+            fields: [{ field: 'estado', message: `Usa: ${Object.values(ORDER_STATUS).join(', ')}` }],
+            details: { valid_statuses: Object.values(ORDER_STATUS) }
+        });
+    }
+    
     return TransactionManager.executeOrderTransaction(async (client) => {
-        // Get order details
-        const order = await pedidoDAO.getOrderById(orderId, client);
-        if (!order) {
-            throw new Error(`Pedido con ID ${orderId} no encontrado`);
+        if (newStatus === ORDER_STATUS.CANCELADO) {
+            const result = await cancelOrderInTransaction(orderId, reason, client);
+            return { order: result.order, allowedTransitions: getAllowedTransitions(result.order.estado) };
         }
         
-        if (order.estado === 'cancelado') {
-            throw new Error('El pedido ya está cancelado');
+        const lockedOrder = await pedidoDAO.lockOrderForUpdate(orderId, client);
+        if (!lockedOrder) {
+            throw new NotFoundError(`Pedido con ID ${orderId} no encontrado`);
         }
         
-        // Cancel order
-        const cancelResult = await pedidoDAO.cancelOrder(orderId, client);
-        
-        // Restore inventory
-        const restoredProduct = await inventarioDAO.restoreStock(
-            order.producto_id, 
-            order.cantidad, 
-            client
-        );
+        if (!canTransition(lockedOrder.estado, newStatus)) {
+            throw new ConflictError(`Transición inválida: "${lockedOrder.estado}" -> "${newStatus}"`, {
+                code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+                details: {
+                    current_status: lockedOrder.estado,
+                    allowed_transitions: getAllowedTransitions(lockedOrder.estado)
+                }
+            });
+        }
         
-        return {
-            order: cancelResult.order,
-            producto: restoredProduct,
-            mensaje: `Pedido ${orderId} cancelado y stock restaurado`
-        };
+        const updatedOrder = await pedidoDAO.updateOrderStatus(orderId, newStatus, reason, client);
+        logger.info('Estado del pedido actualizado', { pedidoId: orderId, desde: lockedOrder.estado, hasta: updatedOrder.estado });
         
-    }, { orderId });
+        return { order: updatedOrder, allowedTransitions: getAllowedTransitions(updatedOrder.estado) };
+    }, { orderId, estado: newStatus });
 };
 
 /**
  * Batch process multiple orders
+ * Every input order gets an entry in `items` with its status:
+ * 'committed', 'failed', 'rolled_back' (atomic: undone by a later failure)
+ * or 'not_processed' (after a stop). `failed_index` is the first failing order.
  * @param {Array} ordersData - Array of order data
- * @param {boolean} stopOnError - Whether to stop processing on first error
- * @returns {Promise<Object>} Batch processing result
+ * @param {boolean} stopOnError - Whether to stop processing on first error (independent mode)
+ * @param {Object} options - Batch options
+ * @param {string} options.mode - One of BATCH_MODES (default: independent)
+ * @returns {Promise<Object>} Batch processing result; each entry of `errors`
+ *   carries the HTTP `status` of its error
+ * @throws {Error} In atomic and best_effort mode, any failure that is not a
+ *   business rejection (see isBusinessError): nothing was committed
  */
-export const batchProcessOrders = async (ordersData, stopOnError = true) => {
-    const results = [];
-    const errors = [];
+export const batchProcessOrders = async (ordersData, stopOnError = true, options = {}) => {
+    const { mode = BATCH_MODES.INDEPENDENT } = options;
+    
+    if (!Object.values(BATCH_MODES).includes(mode)) {
+        throw new ValidationError(`Modo de lote inválido: ${mode}. Usa: ${Object.values(BATCH_MODES).join(', ')}`, {
+            fields: [{ field: 'mode', message: `Usa: ${Object.values(BATCH_MODES).join(', ')}` }]
+        });
+    }
     
-    console.log(`[PROCESSING] Procesando lote de ${ordersData.length} pedidos...`);
+    let results = [];
+    let errors = [];
+    let items = [];
     
-    for (let i = 0; i < ordersData.length; i++) {
+    // (Re)start the per-item report; transactional modes may be retried
+    const resetReport = () => {
+        results = [];
+        errors = [];
+        items = ordersData.map((_, index) => ({ index, status: 'not_processed' }));
+    };
+    
+    const recordSuccess = (i, result) => {
+        results.push({ index: i, success: true, data: result });
+        items[i] = { index: i, status: 'committed', order_id: result.pedido.id };
+        logger.info('Pedido del lote procesado', { indice: i, pedidoId: result.pedido.id });
+    };
+    
+    const recordFailure = (i, error) => {
+        const code = error instanceof AppError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+        const status = error instanceof AppError ? error.status : 500;
+        errors.push({ index: i, success: false, error: error.message, code, status });
+        items[i] = { index: i, status: 'failed', error: error.message, code };
+        logger.warn('Pedido del lote fallido', { indice: i, code, error: error.message });
+    };
+    
+    logger.info('Procesando lote de pedidos', { pedidos: ordersData.length, mode });
+    resetReport();
+    
+    const batchTransactionOptions = { logQueries: true, operation: 'order_batch', isolationLevel: ISOLATION_LEVELS.SERIALIZABLE, maxRetries: 5 };
+    
+    if (mode === BATCH_MODES.ATOMIC) {
         try {
-            console.log(`\n[ORDER] Procesando pedido ${i + 1}/${ordersData.length}...`);
-            const result = await processCompleteOrder(ordersData[i]);
-            results.push({ index: i, success: true, data: result });
-            console.log(`[OK] Pedido ${i + 1} procesado exitosamente`);
+            await executeTransaction(async (client) => {
+                resetReport();
+                
+                for (let i = 0; i < ordersData.length; i++) {
+                    try {
+                        recordSuccess(i, await placeOrder(ordersData[i], client));
+                    } catch (error) {
+                        recordFailure(i, error);
+                        throw error;
+                    }
+                }
+            }, batchTransactionOptions);
         } catch (error) {
-            const errorInfo = { index: i, success: false, error: error.message };
-            errors.push(errorInfo);
-            console.error(`[ERROR] Error en pedido ${i + 1}: ${error.message}`);
+            // Only a rejected order is reported per item; database and
+            // server failures (retries exhausted included) fail the request
+            if (!isBusinessError(error)) {
+                throw error;
+            }
             
-            if (stopOnError) {
-                console.log('🛑 Deteniendo procesamiento por error...');
-                break;
+            // Everything before the failing order was undone by the ROLLBACK
+            logger.warn('Lote atómico revertido por completo');
+            results = [];
+            items = items.map(item => item.status === 'committed'
+                ? { index: item.index, status: 'rolled_back', order_id: null }
+                : item);
+        }
+    } else if (mode === BATCH_MODES.BEST_EFFORT) {
+        await executeTransaction(async (client) => {
+            resetReport();
+            
+            for (let i = 0; i < ordersData.length; i++) {
+                try {
+                    const result = await client.savepoint(`pedido_${i + 1}`, (tx) => placeOrder(ordersData[i], tx));
+                    recordSuccess(i, result);
+                } catch (error) {
+                    if (!isBusinessError(error)) {
+                        throw error;
+                    }
+                    recordFailure(i, error);
+                }
+            }
+        }, batchTransactionOptions);
+    } else {
+        for (let i = 0; i < ordersData.length; i++) {
+            try {
+                recordSuccess(i, await processCompleteOrder(ordersData[i]));
+            } catch (error) {
+                recordFailure(i, error);
+                
+                if (stopOnError) {
+                    logger.warn('Lote detenido por error', { indice: i });
+                    break;
+                }
             }
         }
     }
     
     return {
+        mode,
         total: ordersData.length,
-        processed: results.length,
+        processed: results.length + errors.length,
         successful: results.length,
         failed: errors.length,
+        failed_index: errors.length > 0 ? errors[0].index : null,
+        items,
         results,
         errors
     };
@@ -269,13 +596,13 @@ export const batchProcessOrders = async (ordersData, stopOnError = true) => {
 export const getOrderSummary = async () => {
     return TransactionManager.executeOrderTransaction(async (client) => {
         const statistics = await pedidoDAO.getOrderStatistics(client);
-        const recentOrders = await pedidoDAO.getAllOrders(client);
+        const recentOrders = await pedidoDAO.getRecentOrders(10, client);
         const lowStockProducts = await inventarioDAO.getLowStockProducts(client);
         
         return {
             estadisticas: statistics,
-            pedidos_recientes: recentOrders.slice(0, 10), // Last 10 orders
+            pedidos_recientes: recentOrders,
             productos_stock_bajo: lowStockProducts
         };
-    }, {});
+    }, {}, { isolationLevel: ISOLATION_LEVELS.REPEATABLE_READ, readOnly: true });
 };
\ No newline at end of file
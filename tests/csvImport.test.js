@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiresDatabase, setupDatabase, closeDatabase, withTestRun, uniqueName } from './helpers.js';
+
+/**
+ * CSV import: the file is applied whole or not at all, and a dry run
+ * reports what would change without keeping anything.
+ */
+describe('CSV import', { skip: requiresDatabase }, () => {
+    let pool;
+    let importService;
+    let inventoryService;
+    let ValidationError;
+    let ERROR_CODES;
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        importService = await import('../services/importService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        ({ ValidationError, ERROR_CODES } = await import('../utils/errors.js'));
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    const findProduct = async (name) =>
+        (await pool.query('SELECT stock FROM inventario WHERE producto = $1', [name])).rows[0] ?? null;
+    
+    it('reports a dry run without saving anything', async () => {
+        await withTestRun(async () => {
+            const existing = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const newName = uniqueName('Producto importado');
+            const csv = `producto,precio,stock\n${existing.producto},10,4\n${newName},25.5,7\n`;
+            
+            const report = await importService.importCsv('inventory', csv, { dryRun: true });
+            
+            assert.equal(report.dry_run, true);
+            assert.equal(report.applied, false);
+            assert.equal(report.total_rows, 2);
+            assert.equal(report.inserts, 1);
+            assert.equal(report.updates, 1);
+            assert.deepEqual(report.errors, []);
+            assert.equal((await findProduct(existing.producto)).stock, 10);
+            assert.equal(await findProduct(newName), null);
+        });
+    });
+    
+    it('rejects the whole file when one row is invalid', async () => {
+        await withTestRun(async () => {
+            const existing = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const newName = uniqueName('Producto importado');
+            const csv = `producto,precio,stock\n${existing.producto},10,4\n${newName},gratis,7\n`;
+            
+            await assert.rejects(importService.importCsv('inventory', csv), (error) => {
+                assert.ok(error instanceof ValidationError);
+                assert.equal(error.code, ERROR_CODES.IMPORT_REJECTED);
+                assert.deepEqual(error.details.data.errors.map(({ line, field }) => ({ line, field })), [{ line: 3, field: 'precio' }]);
+                return true;
+            });
+            assert.equal((await findProduct(existing.producto)).stock, 10);
+            assert.equal(await findProduct(newName), null);
+        });
+    });
+    
+    it('applies a valid file and explains the stock change in the ledger', async () => {
+        await withTestRun(async () => {
+            const existing = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const csv = `producto;stock\n${existing.producto};4\n`;
+            
+            const report = await importService.importCsv('inventory', csv);
+            
+            assert.equal(report.applied, true);
+            assert.deepEqual(report.rows.map(({ action, changes }) => ({ action, changes })), [{ action: 'update', changes: ['stock'] }]);
+            assert.equal((await findProduct(existing.producto)).stock, 4);
+            const movement = await pool.query(
+                'SELECT cantidad, saldo, motivo FROM movimientos_inventario WHERE producto_id = $1 ORDER BY id DESC LIMIT 1',
+                [existing.id]
+            );
+            assert.deepEqual(movement.rows[0], { cantidad: -6, saldo: 4, motivo: 'correccion' });
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import { requiresDatabase, setupDatabase, closeDatabase, withTestRun, uniqueName, newCustomerOrder } from './helpers.js';
+
+/**
+ * Exports: orders go out one row per line in CSV and one row per order
+ * (lines nested) in NDJSON
+ */
+describe('order export', { skip: requiresDatabase }, () => {
+    let orderService;
+    let inventoryService;
+    let exportService;
+    
+    before(async () => {
+        await setupDatabase();
+        orderService = await import('../services/orderService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        exportService = await import('../services/exportService.js');
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    /**
+     * Export the orders of one client and return the text written
+     */
+    const exportOrders = async (format, clienteId) => {
+        let text = '';
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                text += chunk;
+                callback();
+            }
+        });
+        await exportService.streamExport(exportService.prepareExport('orders', format, { cliente_id: String(clienteId) }), output);
+        return text;
+    };
+    
+    /**
+     * Place an order of two products and return it with its client
+     */
+    const placeTwoLineOrder = async () => {
+        const keyboard = await inventoryService.createProduct({ producto: uniqueName('Teclado prueba'), precio: 30, stock: 10 });
+        const mouse = await inventoryService.createProduct({ producto: uniqueName('Mouse prueba'), precio: 15, stock: 10 });
+        const { cliente } = newCustomerOrder();
+        const result = await orderService.processCompleteOrder({
+            cliente,
+            productos: [{ producto: keyboard.producto, cantidad: 2 }, { producto: mouse.producto, cantidad: 1 }]
+        });
+        return { ...result, keyboard, mouse };
+    };
+    
+    it('writes one CSV row per order line with the order columns repeated', async () => {
+        await withTestRun(async () => {
+            const { pedido, cliente, keyboard, mouse } = await placeTwoLineOrder();
+            
+            const [header, ...rows] = (await exportOrders('csv', cliente.id)).replace(/^\uFEFF/, '').trim().split('\r\n');
+            const columns = header.split(',');
+            assert.ok(!columns.includes('lineas'));
+            assert.equal(rows.length, 2);
+            
+            const records = rows.map(row => Object.fromEntries(row.split(',').map((cell, index) => [columns[index], cell])));
+            assert.deepEqual(records.map(record => [record.id, record.cliente_email, record.producto_nombre, record.cantidad, record.subtotal]), [
+                [String(pedido.id), cliente.email, keyboard.producto, '2', '60.00'],
+                [String(pedido.id), cliente.email, mouse.producto, '1', '15.00']
+            ]);
+        });
+    });
+    
+    it('keeps the lines nested in NDJSON', async () => {
+        await withTestRun(async () => {
+            const { pedido, cliente } = await placeTwoLineOrder();
+            
+            const rows = (await exportOrders('ndjson', cliente.id)).trim().split('\n').map(line => JSON.parse(line));
+            assert.equal(rows.length, 1);
+            assert.equal(rows[0].id, pedido.id);
+            assert.equal(rows[0].lineas.length, 2);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { randomUUID } from 'node:crypto';
+import dotenv from 'dotenv';
+
+/**
+ * Test helpers
+ * Tests that need PostgreSQL use the database of .env / DB_* (the same as
+ * the server, migrated on setup) and write inside a test run: cleaning the
+ * run removes their rows and leaves any other data as it was. Without the
+ * DB_* variables those suites are skipped and the rest still run.
+ */
+
+dotenv.config({ quiet: true });
+// Keep the test report readable: only errors reach the output
+process.env.LOG_LEVEL ??= 'error';
+
+const REQUIRED_ENV_VARS = ['DB_USER', 'DB_PASSWORD', 'DB_HOST', 'DB_NAME'];
+const missingVars = REQUIRED_ENV_VARS.filter(name => !process.env[name]);
+
+/**
+ * `skip` option of the suites that need the database
+ */
+export const requiresDatabase = missingVars.length > 0
+    ? `Sin base de datos: falta ${missingVars.join(', ')}`
+    : false;
+
+/**
+ * Name that no other test (or real row) uses
+ * @param {string} prefix - Readable part
+ * @returns {string} e.g. "Producto prueba 1a2b3c4d"
+ */
+export const uniqueName = (prefix) => `${prefix} ${randomUUID().slice(0, 8)}`;
+
+/**
+ * Email that no other test (or real row) uses
+ * @returns {string} e.g. "prueba.1a2b3c4d@test.local"
+ */
+export const uniqueEmail = () => `prueba.${randomUUID().slice(0, 8)}@test.local`;
+
+/**
+ * Apply pending migrations; call from before()
+ * Modules that read DB_* are imported here, after the skip check.
+ * @returns {Promise<Object>} { pool }
+ */
+export const setupDatabase = async () => {
+    const { pool } = await import('../config/database.js');
+    const { migrate } = await import('../database/migrator.js');
+    await migrate();
+    return { pool };
+};
+
+/**
+ * Close the pool; call from after() so the test process can exit
+ */
+export const closeDatabase = async () => {
+    const { closePool } = await import('../config/database.js');
+    await closePool();
+};
+
+/**
+ * Run a function inside a new test run, then remove what it wrote
+ * @param {Function} fn - async (runId) => result
+ * @returns {Promise<any>} Result of fn
+ */
+export const withTestRun = async (fn) => {
+    const { pool } = await import('../config/database.js');
+    const { startTestRun, cleanTestData } = await import('../database/init.js');
+    const { runInTestRun } = await import('../utils/testRun.js');
+    
+    const runId = await startTestRun();
+    try {
+        return await runInTestRun(runId, () => fn(runId));
+    } finally {
+        await cleanTestData(runId);
+        await pool.query('DELETE FROM ejecuciones_prueba WHERE id = $1', [runId]);
+    }
+};
+
+/**
+ * Order input for processCompleteOrder from a new customer
+ * @param {string} producto - Product name
+ * @param {number} cantidad - Units
+ * @returns {Object} Order data
+ */
+export const newCustomerOrder = (producto, cantidad) => ({
+    cliente: { nombre: uniqueName('Cliente prueba'), email: uniqueEmail() },
+    producto,
+    cantidad
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import {
+    requiresDatabase,
+    setupDatabase,
+    closeDatabase,
+    withTestRun,
+    uniqueName,
+    newCustomerOrder
+} from './helpers.js';
+
+/**
+ * Idempotency-Key on order creation: a replay returns the stored result
+ * without a second order; the same key with another body is rejected.
+ */
+describe('idempotent orders', { skip: requiresDatabase }, () => {
+    let pool;
+    let orderService;
+    let inventoryService;
+    let hashRequestBody;
+    let ValidationError;
+    let ERROR_CODES;
+    const keys = [];
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        orderService = await import('../services/orderService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        ({ hashRequestBody } = await import('../utils/idempotency.js'));
+        ({ ValidationError, ERROR_CODES } = await import('../utils/errors.js'));
+    });
+    
+    after(async () => {
+        // Keys are not tagged by test runs
+        await pool.query('DELETE FROM claves_idempotencia WHERE clave = ANY($1::text[])', [keys]);
+        await closeDatabase();
+    });
+    
+    const newKey = () => {
+        const key = `prueba-${randomUUID()}`;
+        keys.push(key);
+        return key;
+    };
+    
+    const placeWithKey = (order, key) =>
+        orderService.processCompleteOrder(structuredClone(order), { idempotency: { key, requestHash: hashRequestBody(order) } });
+    
+    it('replays the first result for the same key and body', async () => {
+        await withTestRun(async (runId) => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const order = newCustomerOrder(product.producto, 2);
+            const key = newKey();
+            
+            const first = await placeWithKey(order, key);
+            const replay = await placeWithKey(order, key);
+            
+            assert.equal(replay.replayed, true);
+            assert.equal(replay.pedido.id, first.pedido.id);
+            
+            const orders = await pool.query('SELECT COUNT(*)::int AS cantidad FROM pedidos WHERE ejecucion_prueba_id = $1', [runId]);
+            assert.equal(orders.rows[0].cantidad, 1);
+            const stock = await pool.query('SELECT stock FROM inventario WHERE id = $1', [product.id]);
+            assert.equal(stock.rows[0].stock, 8);
+        });
+    });
+    
+    it('rejects the same key with a different body', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const order = newCustomerOrder(product.producto, 2);
+            const key = newKey();
+            
+            await placeWithKey(order, key);
+            await assert.rejects(placeWithKey({ ...order, cantidad: 3 }, key), (error) =>
+                error instanceof ValidationError && error.code === ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiresDatabase, setupDatabase, closeDatabase } from './helpers.js';
+
+/**
+ * Migrations that move data run on a scratch schema inside a transaction
+ * that is rolled back, so the real tables are not touched.
+ */
+describe('migrations', { skip: requiresDatabase }, () => {
+    let pool;
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    /**
+     * Run fn on a client whose search_path is a new, empty schema
+     */
+    const inScratchSchema = async (fn) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('CREATE SCHEMA migracion_prueba');
+            await client.query('SET LOCAL search_path TO migracion_prueba');
+            return await fn(client);
+        } finally {
+            await client.query('ROLLBACK');
+            client.release();
+        }
+    };
+    
+    it('004 opens the ledger with the stock products already have', async () => {
+        const migration = await import('../database/migrations/004_inventory_movements.js');
+        
+        const movements = await inScratchSchema(async (client) => {
+            await client.query('CREATE TABLE inventario (id SERIAL PRIMARY KEY, stock INTEGER NOT NULL)');
+            await client.query('CREATE TABLE pedidos (id SERIAL PRIMARY KEY)');
+            await client.query('INSERT INTO inventario (stock) VALUES (7), (0), (3)');
+            
+            await migration.up(client);
+            return (await client.query('SELECT producto_id, cantidad, saldo, motivo FROM movimientos_inventario ORDER BY producto_id')).rows;
+        });
+        
+        assert.deepEqual(movements, [
+            { producto_id: 1, cantidad: 7, saldo: 7, motivo: 'stock_inicial' },
+            { producto_id: 3, cantidad: 3, saldo: 3, motivo: 'stock_inicial' }
+        ]);
+    });
+    
+    it('reads the status without waiting for a migration in progress', async () => {
+        const { getMigrationStatus, MIGRATION_LOCK_KEY } = await import('../database/migrator.js');
+        const holder = await pool.connect();
+        
+        try {
+            await holder.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+            
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('getMigrationStatus esperó el bloqueo de migración')), 2000);
+            });
+            const status = await Promise.race([getMigrationStatus(), timeout]).finally(() => clearTimeout(timer));
+            
+            assert.ok(status.length > 0);
+            assert.ok(status.every(migration => migration.applied));
+        } finally {
+            await holder.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+            holder.release();
+        }
+    });
+});
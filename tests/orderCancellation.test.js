@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    requiresDatabase,
+    setupDatabase,
+    closeDatabase,
+    withTestRun,
+    uniqueName,
+    newCustomerOrder
+} from './helpers.js';
+
+/**
+ * Soft cancel: the order stays with its lines, its status becomes
+ * 'cancelado' and the stock of every line goes back, once.
+ */
+describe('order cancellation', { skip: requiresDatabase }, () => {
+    let pool;
+    let orderService;
+    let inventoryService;
+    let ConflictError;
+    let ERROR_CODES;
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        orderService = await import('../services/orderService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        ({ ConflictError, ERROR_CODES } = await import('../utils/errors.js'));
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    const getStock = async (productId) =>
+        (await pool.query('SELECT stock FROM inventario WHERE id = $1', [productId])).rows[0].stock;
+    
+    it('restores the stock of every line and keeps the order', async () => {
+        await withTestRun(async () => {
+            const keyboard = await inventoryService.createProduct({ producto: uniqueName('Teclado prueba'), precio: 30, stock: 10 });
+            const mouse = await inventoryService.createProduct({ producto: uniqueName('Mouse prueba'), precio: 15, stock: 6 });
+            const { cliente } = newCustomerOrder();
+            const { pedido } = await orderService.processCompleteOrder({
+                cliente,
+                productos: [{ producto: keyboard.producto, cantidad: 4 }, { producto: mouse.producto, cantidad: 1 }]
+            });
+            await orderService.changeOrderStatus(pedido.id, 'pagado', 'Pago recibido');
+            
+            const result = await orderService.cancelOrderAndRestoreInventory(pedido.id, 'Cliente se arrepintió');
+            
+            assert.equal(result.order.estado, 'cancelado');
+            assert.equal(result.order.motivo_cancelacion, 'Cliente se arrepintió');
+            assert.equal(result.order.lineas.length, 2);
+            assert.equal(await getStock(keyboard.id), 10);
+            assert.equal(await getStock(mouse.id), 6);
+        });
+    });
+    
+    it('does not restore the stock twice', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 5 });
+            const { pedido } = await orderService.processCompleteOrder(newCustomerOrder(product.producto, 2));
+            
+            await orderService.cancelOrderAndRestoreInventory(pedido.id, 'Primera cancelación');
+            await assert.rejects(orderService.cancelOrderAndRestoreInventory(pedido.id, 'Segunda cancelación'), (error) =>
+                error instanceof ConflictError && error.code === ERROR_CODES.INVALID_STATUS_TRANSITION);
+            assert.equal(await getStock(product.id), 5);
+        });
+    });
+    
+    it('refuses to cancel a shipped order', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 5 });
+            const { pedido } = await orderService.processCompleteOrder(newCustomerOrder(product.producto, 2));
+            for (const estado of ['pagado', 'preparado', 'enviado']) {
+                await orderService.changeOrderStatus(pedido.id, estado, 'Avance de prueba');
+            }
+            
+            await assert.rejects(orderService.cancelOrderAndRestoreInventory(pedido.id, 'Tarde'), (error) =>
+                error instanceof ConflictError && error.details.allowed_transitions.includes('devuelto'));
+            assert.equal(await getStock(product.id), 3);
+        });
+    });
+});
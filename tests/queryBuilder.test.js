@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildListQuery, toPage } from '../utils/queryBuilder.js';
+import { BadRequestError } from '../utils/errors.js';
+import { CLIENT_QUERY_SPEC } from '../dao/clienteDAO.js';
+
+/**
+ * List query builder: filters, keyset cursors and their validation
+ * (SQL fragments only, no database)
+ */
+
+const SPEC = Object.freeze({
+    filters: {
+        nombre: { type: 'contains', sql: (ph) => `c.nombre ILIKE ${ph} ESCAPE '\\'` },
+        min_total: { type: 'number', sql: (ph) => `p.total >= ${ph}` }
+    },
+    pagination: { defaultLimit: 2, maxLimit: 10 },
+    sort: {
+        fields: { total: 'p.total', id: 'p.id' },
+        default: 'total',
+        direction: 'desc',
+        tieBreaker: 'p.id'
+    }
+});
+
+/**
+ * Cursor to the page after `rows` (the last one is the extra row)
+ */
+const nextCursorAfter = (query, rows) => toPage(rows, query.page).nextCursor;
+
+describe('buildListQuery', () => {
+    it('binds contains filters with the LIKE wildcards escaped', () => {
+        const query = buildListQuery({ nombre: '50%_off\\' }, SPEC);
+        
+        assert.equal(query.where, "WHERE c.nombre ILIKE $1 ESCAPE '\\'");
+        assert.equal(query.values[0], '%50\\%\\_off\\\\%');
+        assert.equal(query.applied.nombre, '50%_off\\');
+    });
+    
+    it('continues after the last row of the previous page', () => {
+        const first = buildListQuery({ min_total: '10' }, SPEC);
+        assert.equal(first.orderBy, 'ORDER BY p.total DESC, p.id DESC');
+        assert.equal(first.limit, 'LIMIT $2');
+        assert.deepEqual(first.values, [10, 3]);
+        
+        const cursor = nextCursorAfter(first, [
+            { id: 9, cursor_valor: '80.00', cursor_id: 9 },
+            { id: 4, cursor_valor: '50.00', cursor_id: 4 },
+            { id: 7, cursor_valor: '50.00', cursor_id: 7 }
+        ]);
+        assert.ok(cursor);
+        
+        const second = buildListQuery({ min_total: '10', cursor }, SPEC);
+        assert.equal(second.where, 'WHERE p.total >= $1 AND (p.total, p.id) < ($2, $3)');
+        assert.deepEqual(second.values, [10, '50.00', 4, 3]);
+    });
+    
+    it('ends the pagination on a page without an extra row', () => {
+        const query = buildListQuery({}, SPEC);
+        const page = toPage([{ id: 1, cursor_valor: '5', cursor_id: 1 }], query.page);
+        
+        assert.equal(page.nextCursor, null);
+        assert.deepEqual(page.rows, [{ id: 1 }]);
+    });
+    
+    it('rejects a cursor issued for other filters or another sort', () => {
+        const first = buildListQuery({ min_total: '10' }, SPEC);
+        const cursor = nextCursorAfter(first, [
+            { id: 1, cursor_valor: '20', cursor_id: 1 },
+            { id: 2, cursor_valor: '20', cursor_id: 2 },
+            { id: 3, cursor_valor: '20', cursor_id: 3 }
+        ]);
+        
+        for (const params of [{ min_total: '20', cursor }, { min_total: '10', sort: 'id', cursor }, { cursor: 'basura' }]) {
+            assert.throws(() => buildListQuery(params, SPEC), (error) =>
+                error instanceof BadRequestError && error.fields.some(field => field.field === 'cursor'));
+        }
+    });
+    
+    it('reports every unknown or invalid parameter', () => {
+        assert.throws(() => buildListQuery({ min_total: '-1', color: 'rojo', limit: '50' }, SPEC), (error) => {
+            assert.ok(error instanceof BadRequestError);
+            assert.deepEqual(error.fields.map(field => field.field).sort(), ['color', 'limit', 'min_total']);
+            return true;
+        });
+    });
+    
+    it('compares nullable sort columns through COALESCE in ORDER BY and the cursor', () => {
+        const first = buildListQuery({ sort: 'fecha_creacion' }, CLIENT_QUERY_SPEC);
+        assert.equal(first.orderBy, "ORDER BY COALESCE(c.fecha_creacion, '-infinity') DESC, c.id DESC");
+        assert.match(first.cursorColumns, /^COALESCE\(c\.fecha_creacion, '-infinity'\)::text AS cursor_valor/);
+        
+        const rows = Array.from({ length: 51 }, (_, index) => ({ id: 100 - index, cursor_valor: '-infinity', cursor_id: 100 - index }));
+        const second = buildListQuery({ sort: 'fecha_creacion', cursor: nextCursorAfter(first, rows) }, CLIENT_QUERY_SPEC);
+        assert.equal(second.where, "WHERE (COALESCE(c.fecha_creacion, '-infinity'), c.id) < ($1, $2)");
+        assert.deepEqual(second.values.slice(0, 2), ['-infinity', 51]);
+    });
+});
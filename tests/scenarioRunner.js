@@ -0,0 +1,328 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { pool } from '../config/database.js';
+import * as orderService from '../services/orderService.js';
+import { cleanTestData } from '../database/init.js';
+import { getTestRunId } from '../utils/testRun.js';
+import { BadRequestError } from '../utils/errors.js';
+import { logger, withLogContext } from '../utils/logger.js';
+
+/**
+ * Transaction scenario runner
+ * Regression cases live in tests/scenarios/*.json, one scenario per file:
+ *
+ *   {
+ *     "name": "...",
+ *     "description": "...",
+ *     "steps": [
+ *       { "action": "order", "input": { cliente, producto, cantidad }, "as": "pedido" },
+ *       { "action": "batch", "input": { "orders": [...], "mode": "independent", "stopOnError": false } },
+ *       { "action": "status", "order": "pedido", "estado": "pagado" },
+ *       { "action": "cancel", "order": "pedido", "reason": "..." }
+ *     ],
+ *     "expect": { "outcome": "COMMIT" } or { "outcome": "ROLLBACK", "error": "<regex>" },
+ *     "postconditions": {
+ *       "stock": { "<producto>": <change since the scenario started> },
+ *       "orders": { "<email>": { "count": 1, "estado": "pendiente", "total": 2599.98 } },
+ *       "customers": { "<email>": { "exists": true, "nombre": "..." } }
+ *     }
+ *   }
+ *
+ * `expect` is the outcome of the last step; earlier steps set the scene and
+ * must commit. A batch step counts as ROLLBACK when any of its orders failed
+ * (its error is the first failure). Every scenario starts with the stock
+ * changes of the earlier ones reverted: a `stock` postcondition is the sum of
+ * the movements the run recorded for the product, and order postconditions
+ * only count orders the run created (`total` is their sum, `estado` must hold
+ * for all of them).
+ */
+
+const SCENARIOS_DIR = new URL('./scenarios/', import.meta.url);
+const OUTCOMES = ['COMMIT', 'ROLLBACK'];
+
+/**
+ * Step actions: each returns { orderId } and/or { failure: message }
+ */
+const STEP_ACTIONS = {
+    order: async (step) => {
+        const result = await orderService.processCompleteOrder(step.input);
+        return { orderId: result.pedido.id };
+    },
+    batch: async (step) => {
+        const { orders, stopOnError = false, mode } = step.input;
+        const result = await orderService.batchProcessOrders(orders, stopOnError, { mode });
+        return { failure: result.errors[0]?.error ?? null };
+    },
+    status: async (step, refs) => {
+        await orderService.changeOrderStatus(refs.get(step.order), step.estado, step.reason ?? null);
+        return {};
+    },
+    cancel: async (step, refs) => {
+        await orderService.cancelOrderAndRestoreInventory(refs.get(step.order), step.reason ?? 'Escenario de prueba');
+        return {};
+    }
+};
+
+/**
+ * Read the scenario files (a file that can't be parsed becomes a failing scenario)
+ * @param {Array<string>} only - Scenario ids to run (default: all)
+ * @returns {Promise<Array<Object>>} [{ id, definition } or { id, loadError }]
+ * @throws {BadRequestError} For unknown scenario ids
+ */
+async function loadScenarios(only) {
+    const ids = (await readdir(SCENARIOS_DIR))
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+    
+    const unknown = (only ?? []).filter(id => !ids.includes(id));
+    if (unknown.length > 0) {
+        throw new BadRequestError(`Escenarios desconocidos: ${unknown.join(', ')}. Disponibles: ${ids.join(', ')}`);
+    }
+    
+    const scenarios = [];
+    for (const id of only ?? ids) {
+        try {
+            scenarios.push({ id, definition: JSON.parse(await readFile(new URL(`${id}.json`, SCENARIOS_DIR), 'utf8')) });
+        } catch (error) {
+            scenarios.push({ id, loadError: `Invalid scenario file: ${error.message}` });
+        }
+    }
+    return scenarios;
+}
+
+/**
+ * Check the shape of a scenario before running it
+ * @param {Object} definition - Parsed scenario file
+ * @returns {string|null} Problem found, or null
+ */
+function validateScenario(definition) {
+    const { steps, expect } = definition;
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return '"steps" must be a non-empty list';
+    }
+    if (!expect || !OUTCOMES.includes(expect.outcome)) {
+        return `"expect.outcome" must be one of: ${OUTCOMES.join(', ')}`;
+    }
+    if (expect.error !== undefined) {
+        try {
+            new RegExp(expect.error, 'i');
+        } catch (error) {
+            return `"expect.error" is not a valid pattern: ${error.message}`;
+        }
+    }
+    
+    const refs = new Set();
+    for (const [index, step] of steps.entries()) {
+        if (!Object.hasOwn(STEP_ACTIONS, step.action ?? '')) {
+            return `Step ${index + 1}: unknown action "${step.action}". Use: ${Object.keys(STEP_ACTIONS).join(', ')}`;
+        }
+        if (['order', 'batch'].includes(step.action) && (typeof step.input !== 'object' || step.input === null)) {
+            return `Step ${index + 1}: "${step.action}" needs an "input" object`;
+        }
+        if (step.action === 'batch' && !Array.isArray(step.input.orders)) {
+            return `Step ${index + 1}: "batch" needs "input.orders" (list of orders)`;
+        }
+        if (['status', 'cancel'].includes(step.action) && step.order === undefined) {
+            return `Step ${index + 1}: "${step.action}" needs "order" (the "as" of an earlier order step)`;
+        }
+        if (step.order !== undefined && !refs.has(step.order)) {
+            return `Step ${index + 1}: order "${step.order}" is not defined by an earlier step ("as")`;
+        }
+        if (step.as !== undefined) {
+            refs.add(step.as);
+        }
+    }
+    return null;
+}
+
+/**
+ * Run one step and classify its outcome
+ * @param {Object} step - Step definition
+ * @param {Map<string, number>} refs - Order ids saved by earlier steps
+ * @returns {Promise<Object>} { outcome: 'COMMIT' | 'ROLLBACK', error }
+ */
+async function runStep(step, refs) {
+    try {
+        const { orderId, failure } = await STEP_ACTIONS[step.action](step, refs);
+        if (step.as !== undefined && orderId !== undefined) {
+            refs.set(step.as, orderId);
+        }
+        return failure ? { outcome: 'ROLLBACK', error: failure } : { outcome: 'COMMIT', error: null };
+    } catch (error) {
+        return { outcome: 'ROLLBACK', error: error.message };
+    }
+}
+
+/**
+ * Build one postcondition result
+ */
+const check = (name, expected, actual) => ({ check: name, expected, actual, passed: actual === expected });
+
+/**
+ * Compare the database with the scenario postconditions
+ * @param {Object} postconditions - { stock, orders, customers }
+ * @param {string} runId - Test run id (movement and order tags)
+ * @returns {Promise<Array<Object>>} [{ check, expected, actual, passed }]
+ */
+async function checkPostconditions({ stock = {}, orders = {}, customers = {} }, runId) {
+    const results = [];
+    
+    const products = Object.keys(stock);
+    if (products.length > 0) {
+        const rows = (await pool.query(`
+            SELECT i.producto, COALESCE(SUM(m.cantidad), 0)::int AS cambio
+            FROM inventario i
+            LEFT JOIN movimientos_inventario m ON m.producto_id = i.id AND m.ejecucion_prueba_id = $1
+            WHERE i.producto = ANY($2::text[])
+            GROUP BY i.producto
+        `, [runId, products])).rows;
+        const changes = new Map(rows.map(row => [row.producto, row.cambio]));
+        
+        for (const product of products) {
+            results.push(check(`stock change of "${product}"`, stock[product], changes.get(product) ?? null));
+        }
+    }
+    
+    const orderEmails = Object.keys(orders);
+    if (orderEmails.length > 0) {
+        const rows = (await pool.query(`
+            SELECT c.email, COUNT(*)::int AS cantidad, array_agg(DISTINCT p.estado) AS estados, SUM(p.total) AS total
+            FROM pedidos p
+            JOIN clientes c ON c.id = p.cliente_id
+            WHERE p.ejecucion_prueba_id = $1 AND c.email = ANY($2::text[])
+            GROUP BY c.email
+        `, [runId, orderEmails])).rows;
+        const byEmail = new Map(rows.map(row => [row.email, row]));
+        
+        for (const [email, expected] of Object.entries(orders)) {
+            const row = byEmail.get(email);
+            if (expected.count !== undefined) {
+                results.push(check(`orders of ${email}`, expected.count, row ? row.cantidad : 0));
+            }
+            if (expected.estado !== undefined) {
+                const estados = row ? row.estados : [];
+                results.push(check(`status of the orders of ${email}`, expected.estado, estados.length === 1 ? estados[0] : estados.join(', ') || null));
+            }
+            if (expected.total !== undefined) {
+                results.push(check(`total of the orders of ${email}`, expected.total, row ? Number(row.total) : 0));
+            }
+        }
+    }
+    
+    const customerEmails = Object.keys(customers);
+    if (customerEmails.length > 0) {
+        const rows = (await pool.query('SELECT email, nombre FROM clientes WHERE email = ANY($1::text[])', [customerEmails])).rows;
+        const byEmail = new Map(rows.map(row => [row.email, row]));
+        
+        for (const [email, expected] of Object.entries(customers)) {
+            const row = byEmail.get(email);
+            if (expected.exists !== undefined) {
+                results.push(check(`customer ${email} exists`, expected.exists, Boolean(row)));
+            }
+            if (expected.nombre !== undefined) {
+                results.push(check(`name of customer ${email}`, expected.nombre, row ? row.nombre : null));
+            }
+        }
+    }
+    
+    return results;
+}
+
+/**
+ * Run one scenario
+ * @param {Object} scenario - { id, definition } or { id, loadError }
+ * @param {string} runId - Test run id
+ * @returns {Promise<Object>} { id, name, description, passed, error, steps, postconditions }
+ */
+async function runScenario(scenario, runId) {
+    const definition = scenario.definition ?? {};
+    const report = {
+        id: scenario.id,
+        name: definition.name ?? scenario.id,
+        description: definition.description ?? null,
+        passed: false,
+        error: null,
+        steps: [],
+        postconditions: []
+    };
+    
+    logger.info('Scenario started', { name: report.name });
+    
+    report.error = scenario.loadError ?? validateScenario(definition);
+    if (report.error) {
+        logger.warn('Scenario invalid', { error: report.error });
+        return report;
+    }
+    
+    const refs = new Map();
+    for (const [index, step] of definition.steps.entries()) {
+        const isLast = index === definition.steps.length - 1;
+        const expected = isLast ? definition.expect : { outcome: 'COMMIT' };
+        
+        const result = await runStep(step, refs);
+        const passed = result.outcome === expected.outcome
+            && (expected.error === undefined || new RegExp(expected.error, 'i').test(result.error ?? ''));
+        report.steps.push({ step: index + 1, action: step.action, expected: expected.outcome, ...result, passed });
+        logger.info('Scenario step', { step: index + 1, action: step.action, outcome: result.outcome, error: result.error });
+        
+        if (!passed) {
+            report.error = `Step ${index + 1}: expected ${expected.outcome}${expected.error ? ` matching /${expected.error}/i` : ''}, got ${result.outcome}${result.error ? ` (${result.error})` : ''}`;
+            logger.warn('Scenario failed', { error: report.error });
+            return report;
+        }
+    }
+    
+    report.postconditions = await checkPostconditions(definition.postconditions ?? {}, runId);
+    const failedChecks = report.postconditions.filter(result => !result.passed);
+    report.passed = failedChecks.length === 0;
+    if (!report.passed) {
+        report.error = `${failedChecks.length} postcondition(s) failed: ${failedChecks.map(result => result.check).join('; ')}`;
+    }
+    
+    if (report.passed) {
+        logger.info('Scenario passed');
+    } else {
+        logger.warn('Scenario failed', { error: report.error });
+    }
+    return report;
+}
+
+/**
+ * Run the scenarios inside the current test run
+ * Each scenario starts with the data of the earlier ones removed; the data
+ * of the last one is left in place for inspection.
+ * @param {Object} options - { only: scenario ids to run (default: all) }
+ * @returns {Promise<Object>} { summary: { total, passed, failed, duration_ms }, scenarios }
+ * @throws {Error} Outside runInTestRun
+ * @throws {BadRequestError} For unknown ids
+ */
+export async function runScenarios({ only } = {}) {
+    const runId = getTestRunId();
+    if (!runId) {
+        throw new Error('Los escenarios deben correr dentro de una ejecución de prueba (runInTestRun)');
+    }
+    
+    const scenarios = await loadScenarios(only);
+    const startTime = Date.now();
+    const reports = [];
+    
+    logger.info('Running transaction scenarios', { scenarios: scenarios.length, testRunId: runId });
+    
+    for (const scenario of scenarios) {
+        // Revert the earlier scenarios so they don't leak into this one
+        await cleanTestData(runId);
+        reports.push(await withLogContext({ scenario: scenario.id }, () => runScenario(scenario, runId)));
+    }
+    
+    const passed = reports.filter(report => report.passed).length;
+    const summary = {
+        total: reports.length,
+        passed,
+        failed: reports.length - passed,
+        duration_ms: Date.now() - startTime
+    };
+    
+    logger.info('Scenarios finished', summary);
+    
+    return { summary, scenarios: reports };
+}
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    requiresDatabase,
+    setupDatabase,
+    closeDatabase,
+    withTestRun,
+    uniqueName,
+    newCustomerOrder
+} from './helpers.js';
+
+/**
+ * Stock ledger (movimientos_inventario): every stock change leaves a
+ * movement, and getStockConsistency compares inventario.stock with the sum
+ * and the last balance of those movements.
+ */
+describe('stock ledger', { skip: requiresDatabase }, () => {
+    let pool;
+    let orderService;
+    let inventoryService;
+    let inventarioDAO;
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        orderService = await import('../services/orderService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        inventarioDAO = await import('../dao/inventarioDAO.js');
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    const getConsistency = async (productId) =>
+        (await inventarioDAO.getStockConsistency(pool)).find(row => row.producto_id === productId);
+    
+    it('records a movement with its balance for every stock change', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const order = await orderService.processCompleteOrder(newCustomerOrder(product.producto, 3));
+            await orderService.cancelOrderAndRestoreInventory(order.pedido.id, 'Prueba del libro de stock');
+            await inventoryService.adjustProductStock(product.id, -2, 'merma');
+            
+            const movements = await inventarioDAO.getMovementsByProduct(product.id, pool);
+            assert.deepEqual(movements.map(({ motivo, cantidad, saldo }) => ({ motivo, cantidad, saldo })), [
+                { motivo: 'stock_inicial', cantidad: 10, saldo: 10 },
+                { motivo: 'venta', cantidad: -3, saldo: 7 },
+                { motivo: 'cancelacion', cantidad: 3, saldo: 10 },
+                { motivo: 'merma', cantidad: -2, saldo: 8 }
+            ]);
+            
+            const row = await getConsistency(product.id);
+            assert.equal(row.stock, 8);
+            assert.equal(row.stock_libro, 8);
+            assert.equal(row.ultimo_saldo, 8);
+            assert.equal(row.consistente, true);
+        });
+    });
+    
+    it('orders movements by id even when fecha says otherwise', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 5 });
+            await inventoryService.adjustProductStock(product.id, 4, 'reposicion');
+            // fecha is when the transaction started: a later movement may carry an earlier one
+            await pool.query(`UPDATE movimientos_inventario SET fecha = '2000-01-01' WHERE producto_id = $1 AND motivo = 'reposicion'`, [product.id]);
+            
+            const movements = await inventarioDAO.getMovementsByProduct(product.id, pool);
+            assert.deepEqual(movements.map(movement => movement.motivo), ['stock_inicial', 'reposicion']);
+            
+            const row = await getConsistency(product.id);
+            assert.equal(row.ultimo_saldo, 9);
+            assert.equal(row.consistente, true);
+        });
+    });
+    
+    it('flags stock changed without a movement', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 5 });
+            await pool.query('UPDATE inventario SET stock = stock + 2 WHERE id = $1', [product.id]);
+            
+            const row = await getConsistency(product.id);
+            assert.equal(row.stock, 7);
+            assert.equal(row.stock_libro, 5);
+            assert.equal(row.diferencia, 2);
+            assert.equal(row.consistente, false);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import {
+    requiresDatabase,
+    setupDatabase,
+    closeDatabase,
+    withTestRun,
+    uniqueName,
+    newCustomerOrder
+} from './helpers.js';
+
+/**
+ * cleanDatabase('test', { runId }): removes what one run wrote and reverts
+ * its stock movements, keeping the changes made outside the run meanwhile.
+ * The "real" activity runs in an outer test run so the tests leave nothing
+ * behind.
+ */
+describe('test run cleanup', { skip: requiresDatabase }, () => {
+    let pool;
+    let init;
+    let testRun;
+    let orderService;
+    let inventoryService;
+    let inventarioDAO;
+    let pedidoDAO;
+    let clienteDAO;
+    let exportService;
+    
+    before(async () => {
+        ({ pool } = await setupDatabase());
+        init = await import('../database/init.js');
+        testRun = await import('../utils/testRun.js');
+        orderService = await import('../services/orderService.js');
+        inventoryService = await import('../services/inventoryService.js');
+        inventarioDAO = await import('../dao/inventarioDAO.js');
+        pedidoDAO = await import('../dao/pedidoDAO.js');
+        clienteDAO = await import('../dao/clienteDAO.js');
+        exportService = await import('../services/exportService.js');
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    /**
+     * Run fn in a run of its own, which is left to the caller to clean
+     */
+    const inNestedRun = async (fn) => {
+        const runId = await init.startTestRun();
+        await testRun.runInTestRun(runId, fn);
+        return runId;
+    };
+    
+    const forgetRun = (runId) => pool.query('DELETE FROM ejecuciones_prueba WHERE id = $1', [runId]);
+    
+    const getStock = async (productId) =>
+        (await pool.query('SELECT stock FROM inventario WHERE id = $1', [productId])).rows[0]?.stock;
+    
+    it('reverts only the stock the run took, keeping orders placed meanwhile', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            
+            const runId = await inNestedRun(() =>
+                orderService.processCompleteOrder(newCustomerOrder(product.producto, 3)));
+            const realOrder = await orderService.processCompleteOrder(newCustomerOrder(product.producto, 2));
+            assert.equal(await getStock(product.id), 5);
+            
+            await init.cleanTestData(runId);
+            await forgetRun(runId);
+            
+            assert.equal(await getStock(product.id), 8);
+            const orders = await pool.query('SELECT id FROM pedidos WHERE id = $1 OR ejecucion_prueba_id = $2', [realOrder.pedido.id, runId]);
+            assert.deepEqual(orders.rows.map(row => row.id), [realOrder.pedido.id]);
+        });
+    });
+    
+    it('keeps the ledger consistent when later movements follow the run', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            
+            const runId = await inNestedRun(() =>
+                orderService.processCompleteOrder(newCustomerOrder(product.producto, 4)));
+            await inventoryService.adjustProductStock(product.id, 6, 'reposicion');
+            
+            await init.cleanTestData(runId);
+            await forgetRun(runId);
+            
+            const movements = await inventarioDAO.getMovementsByProduct(product.id, pool);
+            assert.deepEqual(movements.map(({ motivo, cantidad, saldo }) => ({ motivo, cantidad, saldo })), [
+                { motivo: 'stock_inicial', cantidad: 10, saldo: 10 },
+                { motivo: 'reposicion', cantidad: 6, saldo: 16 }
+            ]);
+            
+            const row = (await inventarioDAO.getStockConsistency(pool)).find(p => p.producto_id === product.id);
+            assert.equal(row.stock, 16);
+            assert.equal(row.consistente, true);
+        });
+    });
+    
+    it('removes the customers and products the run created', async () => {
+        let productId;
+        let customerEmail;
+        
+        const runId = await inNestedRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 5, stock: 3 });
+            const order = newCustomerOrder(product.producto, 1);
+            await orderService.processCompleteOrder(order);
+            productId = product.id;
+            customerEmail = order.cliente.email;
+        });
+        
+        await init.cleanTestData(runId);
+        await forgetRun(runId);
+        
+        assert.equal((await pool.query('SELECT 1 FROM inventario WHERE id = $1', [productId])).rowCount, 0);
+        assert.equal((await pool.query('SELECT 1 FROM clientes WHERE email = $1', [customerEmail])).rowCount, 0);
+        assert.equal((await pool.query('SELECT 1 FROM movimientos_inventario WHERE ejecucion_prueba_id = $1', [runId])).rowCount, 0);
+    });
+    
+    it('keeps the run tag out of the rows returned and exported', async () => {
+        await withTestRun(async () => {
+            const product = await inventoryService.createProduct({ producto: uniqueName('Producto prueba'), precio: 10, stock: 10 });
+            const order = newCustomerOrder(product.producto, 2);
+            const { pedido } = await orderService.processCompleteOrder(order);
+            const { order: cancelled } = await orderService.cancelOrderAndRestoreInventory(pedido.id, 'Prueba de columnas');
+            
+            const rows = [
+                product,
+                pedido,
+                cancelled,
+                await pedidoDAO.getOrderById(pedido.id, pool),
+                await inventarioDAO.getProductById(product.id, pool),
+                await clienteDAO.getClientByEmail(order.cliente.email, pool),
+                ...await inventarioDAO.getMovementsByProduct(product.id, pool),
+                ...(await inventarioDAO.findProducts({ producto: product.producto }, pool)).products
+            ];
+            for (const row of rows) {
+                assert.ok(!Object.hasOwn(row, 'ejecucion_prueba_id'), `ejecucion_prueba_id en ${JSON.stringify(row)}`);
+            }
+            
+            for (const resource of exportService.EXPORT_RESOURCES) {
+                let csv = '';
+                const output = new Writable({
+                    write(chunk, encoding, callback) {
+                        csv += chunk;
+                        callback();
+                    }
+                });
+                await exportService.streamExport(exportService.prepareExport(resource, 'csv', {}), output);
+                assert.doesNotMatch(csv.split('\n')[0], /ejecucion_prueba_id/, resource);
+            }
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiresDatabase, setupDatabase, closeDatabase } from './helpers.js';
+
+/**
+ * executeTransaction: retries on serialization failures and deadlocks,
+ * what reaches the caller when they persist, and savepoint errors
+ */
+describe('executeTransaction', { skip: requiresDatabase }, () => {
+    let executeTransaction;
+    let ISOLATION_LEVELS;
+    let TransientDbError;
+    
+    before(async () => {
+        await setupDatabase();
+        ({ executeTransaction, ISOLATION_LEVELS } = await import('../utils/transactionManager.js'));
+        ({ TransientDbError } = await import('../utils/errors.js'));
+    });
+    
+    after(async () => {
+        await closeDatabase();
+    });
+    
+    const serializationFailure = () => Object.assign(new Error('could not serialize access'), { code: '40001' });
+    
+    it('runs the function again after a serialization failure', async () => {
+        let attempts = 0;
+        
+        const result = await executeTransaction(async (tx) => {
+            attempts += 1;
+            await tx.query('SELECT 1');
+            if (attempts === 1) {
+                throw serializationFailure();
+            }
+            return 'hecho';
+        }, { isolationLevel: ISOLATION_LEVELS.SERIALIZABLE, maxRetries: 2, retryBaseDelayMs: 1 });
+        
+        assert.equal(result, 'hecho');
+        assert.equal(attempts, 2);
+    });
+    
+    it('gives up after maxRetries with a TransientDbError', async () => {
+        let attempts = 0;
+        const failure = serializationFailure();
+        
+        await assert.rejects(executeTransaction(async () => {
+            attempts += 1;
+            throw failure;
+        }, { maxRetries: 2, retryBaseDelayMs: 1 }), (error) =>
+            error instanceof TransientDbError && error.cause === failure);
+        assert.equal(attempts, 3);
+    });
+    
+    it('does not retry other errors', async () => {
+        let attempts = 0;
+        
+        await assert.rejects(executeTransaction(async () => {
+            attempts += 1;
+            throw new Error('fallo de negocio');
+        }, { maxRetries: 2, retryBaseDelayMs: 1 }), /fallo de negocio/);
+        assert.equal(attempts, 1);
+    });
+    
+    it('reports the error thrown inside a savepoint even if rolling back to it fails', async () => {
+        const original = new Error('original');
+        
+        await assert.rejects(executeTransaction((tx) => tx.savepoint('x', async () => {
+            // Without the savepoint, ROLLBACK TO SAVEPOINT fails too
+            await tx.query('RELEASE SAVEPOINT sp_1_x');
+            throw original;
+        })), (error) => error === original);
+    });
+});
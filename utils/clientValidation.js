@@ -0,0 +1,82 @@
+/**
+ * Client Validation
+ * Format rules for the clientes columns, shared by clienteDAO and the routes
+ */
+
+// Columns a client may set; id and fecha_creacion are managed by the database
+export const CLIENT_COLUMNS = Object.freeze(['nombre', 'email', 'telefono', 'direccion']);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Optional leading +, then digits with optional spaces, dashes or parentheses
+const PHONE_PATTERN = /^\+?[0-9()\s-]+$/;
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Check an email address (also limited to the 100 characters of the column)
+ * @param {string} email - Email to check
+ * @returns {boolean} True if the format is valid
+ */
+export const isValidEmail = (email) =>
+    typeof email === 'string' && email.length <= 100 && EMAIL_PATTERN.test(email);
+
+/**
+ * Check a phone number: 7 to 15 digits, at most 20 characters in total
+ * @param {string} telefono - Phone to check
+ * @returns {boolean} True if the format is valid
+ */
+export const isValidPhone = (telefono) => {
+    if (typeof telefono !== 'string' || telefono.length > 20 || !PHONE_PATTERN.test(telefono)) {
+        return false;
+    }
+    const digits = telefono.replace(/\D/g, '').length;
+    return digits >= 7 && digits <= 15;
+};
+
+/**
+ * Check a postal address: 5 to 255 characters, no control characters
+ * @param {string} direccion - Address to check
+ * @returns {boolean} True if the format is valid
+ */
+export const isValidAddress = (direccion) =>
+    typeof direccion === 'string'
+    && direccion.trim().length >= 5
+    && direccion.length <= 255
+    && !CONTROL_CHARS.test(direccion);
+
+/**
+ * Validate client fields
+ * Only the fields present are checked, so it works for creates and partial
+ * updates alike. telefono and direccion may be null to clear them.
+ * @param {Object} fields - Client fields to check
+ * @returns {Array<Object>} One { field, message } per problem, empty if valid
+ */
+export const validateClientFields = (fields) => {
+    const errors = [];
+    
+    for (const field of Object.keys(fields)) {
+        if (!CLIENT_COLUMNS.includes(field)) {
+            errors.push({ field, message: 'Campo desconocido o no editable' });
+        }
+    }
+    
+    if ('nombre' in fields) {
+        const { nombre } = fields;
+        if (typeof nombre !== 'string' || !nombre.trim() || nombre.length > 100) {
+            errors.push({ field: 'nombre', message: 'Debe ser un texto no vacío de hasta 100 caracteres' });
+        }
+    }
+    
+    if ('email' in fields && !isValidEmail(fields.email)) {
+        errors.push({ field: 'email', message: 'Formato de email inválido' });
+    }
+    
+    if ('telefono' in fields && fields.telefono !== null && !isValidPhone(fields.telefono)) {
+        errors.push({ field: 'telefono', message: 'Teléfono inválido: entre 7 y 15 dígitos, se admite +, espacios, guiones y paréntesis' });
+    }
+    
+    if ('direccion' in fields && fields.direccion !== null && !isValidAddress(fields.direccion)) {
+        errors.push({ field: 'direccion', message: 'Dirección inválida: entre 5 y 255 caracteres, sin caracteres de control' });
+    }
+    
+    return errors;
+};
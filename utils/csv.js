@@ -0,0 +1,95 @@
+/**
+ * CSV
+ * Minimal RFC 4180 reader for the import endpoints: quoted fields, escaped
+ * quotes ("") and line breaks inside quotes. The delimiter is taken from the
+ * header line, so files saved by spreadsheets that use ; work too.
+ */
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV content
+ * @returns {string} ',' or ';'
+ */
+const detectDelimiter = (text) => {
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const commas = headerLine.split(',').length;
+    const semicolons = headerLine.split(';').length;
+    return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Parse CSV text into a header and data rows
+ * Blank lines are skipped. Each row keeps the line number where it starts
+ * so validation errors can point at the right place in the file.
+ * @param {string} text - CSV content (a leading BOM is ignored)
+ * @returns {Object} { header: Array<string>, rows: Array<{ line, values }> }
+ * @throws {Error} On an unterminated quoted field
+ */
+export const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(content);
+    const records = [];
+    
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    
+    const endRecord = () => {
+        values.push(field);
+        if (values.length > 1 || values[0].trim() !== '') {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+        field = '';
+    };
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+            continue;
+        }
+        
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            values.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    
+    if (inQuotes) {
+        throw new Error(`CSV inválido: comillas sin cerrar desde la línea ${recordLine}`);
+    }
+    if (field !== '' || values.length > 0) {
+        endRecord();
+    }
+    
+    const [headerRecord, ...rows] = records;
+    return {
+        header: headerRecord ? headerRecord.values.map(name => name.trim().toLowerCase()) : [],
+        rows
+    };
+};
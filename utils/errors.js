@@ -0,0 +1,176 @@
+/**
+ * Errors
+ * Typed errors for the domain rules. Each class carries the HTTP `status`
+ * and a stable machine-readable `code`; the error middleware in server.js
+ * turns them into the JSON error response, so services and DAOs throw them
+ * without knowing about Express.
+ */
+
+// Codes sent as `code` in error responses; clients may switch on them
+export const ERROR_CODES = Object.freeze({
+    BAD_REQUEST: 'BAD_REQUEST',
+    INVALID_JSON: 'INVALID_JSON',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    IMPORT_REJECTED: 'IMPORT_REJECTED',
+    IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+    NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    EMAIL_NAME_MISMATCH: 'EMAIL_NAME_MISMATCH',
+    EMAIL_TAKEN: 'EMAIL_TAKEN',
+    DUPLICATE_PRODUCT: 'DUPLICATE_PRODUCT',
+    CUSTOMER_HAS_ORDERS: 'CUSTOMER_HAS_ORDERS',
+    INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+    NO_LINES_PLACED: 'NO_LINES_PLACED',
+    CONSTRAINT_VIOLATION: 'CONSTRAINT_VIOLATION',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+    TRANSIENT_DB_ERROR: 'TRANSIENT_DB_ERROR',
+    DATABASE_ERROR: 'DATABASE_ERROR',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+/**
+ * Base class of every error the API answers on purpose
+ * `fields` lists one { field, message } per invalid input and is sent as
+ * `errors`; `details` holds any other response fields (snake_case, e.g.
+ * allowed_transitions).
+ */
+export class AppError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - { status, code, fields, details, cause }
+     */
+    constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, fields = [], details = {}, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+        this.details = fields.length > 0 ? { errors: fields, ...details } : details;
+    }
+}
+
+/**
+ * 400: malformed request (route parameters, query string, CSV file)
+ */
+export class BadRequestError extends AppError {
+    constructor(message, { code = ERROR_CODES.BAD_REQUEST, ...options } = {}) {
+        super(message, { status: 400, code, ...options });
+    }
+}
+
+/**
+ * 422: well-formed request whose data breaks the rules
+ */
+export class ValidationError extends AppError {
+    constructor(message, { code = ERROR_CODES.VALIDATION_FAILED, ...options } = {}) {
+        super(message, { status: 422, code, ...options });
+    }
+}
+
+/**
+ * 404: the order, product, customer or resource does not exist
+ */
+export class NotFoundError extends AppError {
+    constructor(message, { code = ERROR_CODES.NOT_FOUND, ...options } = {}) {
+        super(message, { status: 404, code, ...options });
+    }
+}
+
+/**
+ * 409: the request clashes with the current state (duplicates, email/name
+ * mismatch, illegal status transitions)
+ */
+export class ConflictError extends AppError {
+    constructor(message, { code = ERROR_CODES.CONFLICT, ...options } = {}) {
+        super(message, { status: 409, code, ...options });
+    }
+}
+
+/**
+ * 409: not enough stock to sell or remove the requested quantity
+ */
+export class InsufficientStockError extends ConflictError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: ERROR_CODES.INSUFFICIENT_STOCK });
+    }
+}
+
+/**
+ * 503: the database could not serve the request right now (lost connection,
+ * serialization failure or deadlock after every retry). Safe to retry.
+ */
+export class TransientDbError extends AppError {
+    constructor(message, options = {}) {
+        super(message, { ...options, status: 503, code: ERROR_CODES.TRANSIENT_DB_ERROR });
+    }
+}
+
+/**
+ * 500: any other database failure. Keeps the SQLSTATE, detail and
+ * constraint of the pg error for the logs.
+ */
+export class DatabaseError extends AppError {
+    constructor(message, { cause, ...options } = {}) {
+        super(message, { ...options, cause, status: 500, code: ERROR_CODES.DATABASE_ERROR });
+        this.sqlState = cause?.code;
+        this.detail = cause?.detail;
+        this.constraint = cause?.constraint;
+    }
+}
+
+// SQLSTATEs worth retrying later: serialization_failure, deadlock_detected,
+// too_many_connections and the admin_shutdown / cannot_connect_now family
+const TRANSIENT_SQLSTATES = new Set(['40001', '40P01', '53300', '57P01', '57P02', '57P03']);
+// Node socket errors of a dropped or unreachable server
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE']);
+
+/**
+ * Check whether an error (or one in its `cause` chain) is a temporary
+ * database failure: connection exceptions (class 08), the SQLSTATEs above
+ * or a network error
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the same request may succeed later
+ */
+export const isTransientDbError = (error) => {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof TransientDbError) {
+            return true;
+        }
+        const code = typeof current.code === 'string' ? current.code : '';
+        if (TRANSIENT_SQLSTATES.has(code) || code.startsWith('08') || TRANSIENT_NETWORK_CODES.has(code)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Check whether an error is a rejection by a domain rule (an AppError
+ * answered with a 4xx) rather than a failure of the server or database
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request itself was at fault
+ */
+export const isBusinessError = (error) => error instanceof AppError && error.status < 500;
+
+/**
+ * Turn an error caught in a DAO into a typed error
+ * Typed errors pass through unchanged. pg errors are wrapped with the DAO
+ * context and kept as `cause`: temporary failures become TransientDbError,
+ * integrity violations (class 23) ConflictError, the rest DatabaseError.
+ * @param {string} context - What the DAO was doing (e.g. 'Error creando cliente')
+ * @param {Error} error - Caught error
+ * @returns {AppError} Error to throw
+ */
+export const toDbError = (context, error) => {
+    if (error instanceof AppError) {
+        return error;
+    }
+    const message = `${context}: ${error.message}`;
+    if (isTransientDbError(error)) {
+        return new TransientDbError(message, { cause: error });
+    }
+    if (typeof error.code === 'string' && error.code.startsWith('23')) {
+        return new ConflictError(message, { code: ERROR_CODES.CONSTRAINT_VIOLATION, cause: error });
+    }
+    return new DatabaseError(message, { cause: error });
+};
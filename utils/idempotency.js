@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+
+/**
+ * Idempotency helpers
+ * Used by POST /api/orders to recognise client retries (Idempotency-Key header)
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Hours an idempotency key stays valid (IDEMPOTENCY_TTL_HOURS, default 24)
+ * Read on every call so it honours the .env loaded at startup.
+ * @returns {number} TTL in hours
+ */
+export const getIdempotencyTtlHours = () => {
+    const ttl = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_HOURS;
+};
+
+/**
+ * Check an Idempotency-Key header value
+ * @param {string} key - Header value
+ * @returns {boolean} True if the key is usable
+ */
+export const isValidIdempotencyKey = (key) =>
+    typeof key === 'string' && key.trim().length > 0 && key.length <= MAX_KEY_LENGTH;
+
+/**
+ * Serialize a value with object keys sorted, so two bodies with the same
+ * content but different key order hash the same
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * Hash a request body for idempotency comparisons
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRequestBody = (body) =>
+    crypto.createHash('sha256').update(canonicalJson(body ?? null)).digest('hex');
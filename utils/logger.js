@@ -0,0 +1,123 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Logger
+ * Structured logs with levels. Each entry is one JSON line on stdout (stderr
+ * for warn and error):
+ *
+ *   {"time":"...","level":"info","msg":"COMMIT","requestId":"...","transactionId":"...","durationMs":12}
+ *
+ * Fields added with withLogContext() (requestId per HTTP request,
+ * transactionId per executeTransaction) are attached to every entry logged
+ * from the code they wrap, so a ROLLBACK can be traced back to its request.
+ *
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error; default info)
+ * and LOG_FORMAT=pretty prints readable lines for development (default json).
+ */
+
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+const DEFAULT_LEVEL = 'info';
+
+// Read on first use: modules importing the logger load before dotenv.config() runs
+let settings;
+const getSettings = () => {
+    settings ??= {
+        minLevel: LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS[DEFAULT_LEVEL],
+        pretty: process.env.LOG_FORMAT === 'pretty'
+    };
+    return settings;
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with extra fields on every log entry it produces
+ * Nested calls add to (and may override) the fields of the outer one.
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+export const withLogContext = (fields, fn) =>
+    contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+
+/**
+ * Fields of the current log context
+ * @returns {Object} e.g. { requestId, transactionId }
+ */
+export const getLogContext = () => contextStorage.getStore() ?? {};
+
+/**
+ * New id for a request or transaction
+ * @returns {string} UUID
+ */
+export const newLogId = () => randomUUID();
+
+/**
+ * Make a value JSON-friendly (errors lose their fields with JSON.stringify)
+ */
+const serializeValue = (value) => {
+    if (!(value instanceof Error)) {
+        return value;
+    }
+    return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.detail !== undefined && { detail: value.detail }),
+        stack: value.stack,
+        ...(value.cause !== undefined && { cause: serializeValue(value.cause) })
+    };
+};
+
+/**
+ * One readable line: time, level, short ids, message and the other fields
+ */
+const formatPretty = ({ time, level, msg, requestId, transactionId, ...fields }) => {
+    const ids = [
+        requestId && `req:${String(requestId).slice(0, 8)}`,
+        transactionId && `tx:${String(transactionId).slice(0, 8)}`
+    ].filter(Boolean).join(' ');
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    
+    return [time.slice(11, 23), level.toUpperCase().padEnd(5), ids && `[${ids}]`, msg, extra]
+        .filter(Boolean)
+        .join(' ');
+};
+
+/**
+ * Write one entry if its level is enabled
+ */
+const write = (level, msg, fields, bound) => {
+    const { minLevel, pretty } = getSettings();
+    if (LOG_LEVELS[level] < minLevel) {
+        return;
+    }
+    
+    const entry = { time: new Date().toISOString(), level, msg, ...getLogContext(), ...bound };
+    for (const [key, value] of Object.entries(fields ?? {})) {
+        entry[key] = serializeValue(value);
+    }
+    
+    const line = pretty ? formatPretty(entry) : JSON.stringify(entry);
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Build a logger whose entries always carry the given fields
+ * @param {Object} bound - Fields added to every entry (e.g. { component })
+ * @returns {Object} { debug, info, warn, error, child, isLevelEnabled }
+ */
+const createLogger = (bound = {}) => ({
+    debug: (msg, fields) => write('debug', msg, fields, bound),
+    info: (msg, fields) => write('info', msg, fields, bound),
+    warn: (msg, fields) => write('warn', msg, fields, bound),
+    error: (msg, fields) => write('error', msg, fields, bound),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+    isLevelEnabled: (level) => LOG_LEVELS[level] >= getSettings().minLevel
+});
+
+export const logger = createLogger();
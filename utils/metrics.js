@@ -0,0 +1,168 @@
+import { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } from 'prom-client';
+import { pool } from '../config/database.js';
+import { AppError, isTransientDbError } from './errors.js';
+
+/**
+ * Metrics
+ * Prometheus metrics served by GET /metrics:
+ *   - db_transaction_*: commits, rollbacks (by error class), retries and
+ *     duration of every executeTransaction attempt, labeled by operation
+ *   - db_pool_*: clients of the pg Pool, read when Prometheus scrapes
+ *   - orders_created_total, units_sold_total, low_stock_events_total:
+ *     business events, recorded only once their transaction commits
+ *   - process_* / nodejs_*: prom-client defaults (CPU, memory, event loop)
+ */
+
+export const registry = new Registry();
+collectDefaultMetrics({ register: registry });
+
+// Operation label of transactions started without options.operation
+const DEFAULT_OPERATION = 'other';
+
+const transactionCommits = new Counter({
+    name: 'db_transaction_commits_total',
+    help: 'Transactions committed',
+    labelNames: ['operation'],
+    registers: [registry]
+});
+
+const transactionRollbacks = new Counter({
+    name: 'db_transaction_rollbacks_total',
+    help: 'Transactions rolled back, by the class of the error that caused it (none for dry runs)',
+    labelNames: ['operation', 'error_class'],
+    registers: [registry]
+});
+
+const transactionRetries = new Counter({
+    name: 'db_transaction_retries_total',
+    help: 'Attempts re-run after a serialization failure or deadlock',
+    labelNames: ['operation'],
+    registers: [registry]
+});
+
+const transactionDuration = new Histogram({
+    name: 'db_transaction_duration_seconds',
+    help: 'Time a transaction attempt holds its connection, from BEGIN to COMMIT or ROLLBACK',
+    labelNames: ['operation', 'outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+// Pool gauges are set from the pool counters on every scrape
+new Gauge({
+    name: 'db_pool_total_clients',
+    help: 'Clients in the pool, idle or checked out',
+    registers: [registry],
+    collect() {
+        this.set(pool.totalCount);
+    }
+});
+
+new Gauge({
+    name: 'db_pool_idle_clients',
+    help: 'Clients in the pool that are not checked out',
+    registers: [registry],
+    collect() {
+        this.set(pool.idleCount);
+    }
+});
+
+new Gauge({
+    name: 'db_pool_waiting_clients',
+    help: 'Requests queued waiting for a client',
+    registers: [registry],
+    collect() {
+        this.set(pool.waitingCount);
+    }
+});
+
+new Gauge({
+    name: 'db_pool_max_clients',
+    help: 'Maximum number of clients of the pool',
+    registers: [registry],
+    collect() {
+        this.set(pool.options.max);
+    }
+});
+
+const ordersCreated = new Counter({
+    name: 'orders_created_total',
+    help: 'Orders committed',
+    registers: [registry]
+});
+
+const unitsSold = new Counter({
+    name: 'units_sold_total',
+    help: 'Units sold in committed orders',
+    labelNames: ['producto'],
+    registers: [registry]
+});
+
+const lowStockEvents = new Counter({
+    name: 'low_stock_events_total',
+    help: 'Times a product fell to its stock_minimo or below',
+    labelNames: ['producto'],
+    registers: [registry]
+});
+
+/**
+ * Label for the error that rolled a transaction back
+ * Typed errors keep their class name; anything else is grouped so the
+ * label stays a short, fixed list.
+ * @param {Error} error - Error thrown inside the transaction
+ * @returns {string} e.g. InsufficientStockError, TransientDbError, DatabaseError, Error
+ */
+export const classifyError = (error) => {
+    if (error instanceof AppError) {
+        return error.name;
+    }
+    if (isTransientDbError(error)) {
+        return 'TransientDbError';
+    }
+    if (typeof error?.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code)) {
+        return 'DatabaseError';
+    }
+    return 'Error';
+};
+
+/**
+ * Record the end of a transaction attempt (see executeTransaction)
+ * @param {Object} attempt - { operation, outcome: 'commit' | 'rollback',
+ *   error: what caused the rollback (none for a dry run), durationMs,
+ *   willRetry: the transaction runs again }
+ */
+export const recordTransaction = ({ operation = DEFAULT_OPERATION, outcome, error, durationMs, willRetry = false }) => {
+    if (outcome === 'commit') {
+        transactionCommits.inc({ operation });
+    } else {
+        transactionRollbacks.inc({ operation, error_class: error ? classifyError(error) : 'none' });
+    }
+    if (willRetry) {
+        transactionRetries.inc({ operation });
+    }
+    transactionDuration.observe({ operation, outcome }, durationMs / 1000);
+};
+
+/**
+ * Record a committed order
+ * @param {Array<Object>} lines - { producto, cantidad } per order line
+ */
+export const recordOrder = (lines) => {
+    ordersCreated.inc();
+    for (const { producto, cantidad } of lines) {
+        unitsSold.inc({ producto }, cantidad);
+    }
+};
+
+/**
+ * Record a committed stock change; counts a low-stock event when the
+ * product crosses its stock_minimo (it was above and now is not)
+ * @param {Object} product - Product row after the change ({ producto, stock_minimo })
+ * @param {number} previousStock - Stock before the change
+ * @param {number} newStock - Stock after the change
+ */
+export const recordStockChange = ({ producto, stock_minimo: minimum }, previousStock, newStock) => {
+    if (previousStock > minimum && newStock <= minimum) {
+        lowStockEvents.inc({ producto });
+    }
+};
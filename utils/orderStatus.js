@@ -0,0 +1,74 @@
+/**
+ * Order Status
+ * Single source of truth for the order lifecycle. The service layer checks
+ * transitions with these helpers; the database enforces the same map with
+ * the CHECK constraint and transition trigger of migration 002. Changing
+ * the lifecycle needs a new migration that replaces both.
+ *
+ *   pendiente → pagado → preparado → enviado → entregado
+ *       ↓          ↓          ↓           ↓          ↓
+ *   cancelado  cancelado  cancelado    devuelto   devuelto
+ *
+ * The batch modes of batchProcessOrders live here too, so the request
+ * schemas can list them without importing the service.
+ */
+
+export const ORDER_STATUS = Object.freeze({
+    PENDIENTE: 'pendiente',
+    PAGADO: 'pagado',
+    PREPARADO: 'preparado',
+    ENVIADO: 'enviado',
+    ENTREGADO: 'entregado',
+    CANCELADO: 'cancelado',
+    DEVUELTO: 'devuelto'
+});
+
+/**
+ * Allowed next states for every state (terminal states map to [])
+ */
+export const ORDER_TRANSITIONS = Object.freeze({
+    [ORDER_STATUS.PENDIENTE]: [ORDER_STATUS.PAGADO, ORDER_STATUS.CANCELADO],
+    [ORDER_STATUS.PAGADO]: [ORDER_STATUS.PREPARADO, ORDER_STATUS.CANCELADO],
+    [ORDER_STATUS.PREPARADO]: [ORDER_STATUS.ENVIADO, ORDER_STATUS.CANCELADO],
+    [ORDER_STATUS.ENVIADO]: [ORDER_STATUS.ENTREGADO, ORDER_STATUS.DEVUELTO],
+    [ORDER_STATUS.ENTREGADO]: [ORDER_STATUS.DEVUELTO],
+    [ORDER_STATUS.CANCELADO]: [],
+    [ORDER_STATUS.DEVUELTO]: []
+});
+
+/**
+ * Check whether a value is a known order status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if the status exists in the lifecycle
+ */
+export const isValidStatus = (status) => Object.hasOwn(ORDER_TRANSITIONS, status);
+
+/**
+ * Get the states an order can move to from its current state
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next states
+ */
+export const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Check whether an order can move from one state to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Batch processing modes
+ * - independent: every order commits (or rolls back) on its own; stops at
+ *   the first failure when stopOnError is set
+ * - atomic: the whole batch runs in one transaction; any failure rolls back
+ *   every order of the batch
+ * - best_effort: one transaction with a savepoint per order; failed orders
+ *   are rolled back to their savepoint, the rest commit together
+ */
+export const BATCH_MODES = Object.freeze({
+    INDEPENDENT: 'independent',
+    ATOMIC: 'atomic',
+    BEST_EFFORT: 'best_effort'
+});
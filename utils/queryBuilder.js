@@ -0,0 +1,300 @@
+import { createHash } from 'node:crypto';
+import { BadRequestError } from './errors.js';
+
+/**
+ * Query Builder
+ * Turns list query parameters (?estado=pagado&sort=total&order=asc) into a
+ * parameterized WHERE / ORDER BY. Each DAO describes what can be filtered and
+ * sorted in a spec, so column names and SQL always come from code and only
+ * values travel as query parameters.
+ *
+ * Lists are paginated by keyset: `limit` rows per page and an opaque `cursor`
+ * holding the sort value and id of the last row served, so the next page
+ * starts right after it with `WHERE (sort_column, id) > (...)` instead of an
+ * OFFSET that rescans every previous page. Sort columns must never be NULL:
+ * a nullable one goes in the spec wrapped in COALESCE, which then serves both
+ * the ORDER BY and the cursor comparison.
+ *
+ * Spec shape:
+ *   {
+ *     filters: {
+ *       <param>: {
+ *         type: 'integer' | 'number' | 'date' | 'text' | 'contains' | 'boolean' | 'enum',
+ *         values: [...],            // enum only
+ *         list: true,               // enum only: accepts a,b,c
+ *         min: 0,                   // integer / number only
+ *         sql: (placeholder, value) => 'p.total >= ' + placeholder
+ *       }
+ *     },
+ *     sort: { fields: { <name>: '<column>' }, default: '<name>', direction: 'asc' | 'desc', tieBreaker: '<column>' },
+ *     pagination: { defaultLimit: 50, maxLimit: 200 }
+ *   }
+ *
+ * A 'contains' filter binds `%text%` with \, % and _ escaped, so its SQL is
+ * `column ILIKE <placeholder> ESCAPE '\'` and the text matches literally.
+ *
+ * DAOs select `cursorColumns` next to their own columns, append `where`,
+ * `orderBy` and `limit`, then hand the rows to toPage().
+ */
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const PAGINATION_PARAMS = ['limit', 'cursor'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Check whether a date filter value has no time part (e.g. 2024-05-31)
+ * Specs use it to make an upper bound like `to=2024-05-31` include that whole day.
+ * @param {string} value - Parsed date value
+ * @returns {boolean} True for a plain date
+ */
+export const isDateOnly = (value) => DATE_ONLY_PATTERN.test(value);
+
+/**
+ * Escape the LIKE wildcards of a text (for ESCAPE '\')
+ * @param {string} text - Text to match literally
+ * @returns {string} Text with \, % and _ escaped
+ */
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Parse one raw query value according to its filter definition
+ * @param {string} raw - Raw value from the query string
+ * @param {Object} filter - Filter definition from the spec
+ * @returns {Object} { value, param: value to bind when it differs } or { error }
+ */
+const parseFilterValue = (raw, filter) => {
+    if (typeof raw !== 'string' || raw.trim() === '') {
+        return { error: 'Debe ser un único valor no vacío' };
+    }
+    const text = raw.trim();
+    
+    switch (filter.type) {
+        case 'integer': {
+            const value = Number(text);
+            if (!Number.isInteger(value) || value < (filter.min ?? 1)) {
+                return { error: `Debe ser un entero >= ${filter.min ?? 1}` };
+            }
+            return { value };
+        }
+        case 'number': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || value < (filter.min ?? 0)) {
+                return { error: `Debe ser un número >= ${filter.min ?? 0}` };
+            }
+            return { value };
+        }
+        case 'date': {
+            if ((!DATE_ONLY_PATTERN.test(text) && !DATE_TIME_PATTERN.test(text)) || Number.isNaN(Date.parse(text))) {
+                return { error: 'Debe ser una fecha YYYY-MM-DD o ISO 8601' };
+            }
+            return { value: text };
+        }
+        case 'boolean': {
+            if (!['true', 'false'].includes(text)) {
+                return { error: 'Debe ser true o false' };
+            }
+            return { value: text === 'true' };
+        }
+        case 'enum': {
+            const values = filter.list ? text.split(',').map(v => v.trim()) : [text];
+            const invalid = values.filter(v => !filter.values.includes(v));
+            if (invalid.length > 0) {
+                return { error: `Valor no permitido: ${invalid.join(', ')}. Usa: ${filter.values.join(', ')}` };
+            }
+            return { value: filter.list ? [...new Set(values)] : values[0] };
+        }
+        case 'text':
+            return { value: text };
+        case 'contains':
+            return { value: text, param: `%${escapeLikePattern(text)}%` };
+        default:
+            throw new Error(`Tipo de filtro desconocido: ${filter.type}`);
+    }
+};
+
+/**
+ * Fingerprint of the filters a cursor was issued for
+ * @param {Object} filters - Parsed filter values
+ * @returns {string} Short hash
+ */
+const filtersFingerprint = (filters) =>
+    createHash('sha256').update(JSON.stringify(filters)).digest('base64url').slice(0, 16);
+
+/**
+ * Encode a cursor
+ * @param {Object} position - { s: sort field, o: direction, v: sort value as text, id, f: filters fingerprint }
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object|null} Cursor position or null if malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valid = position
+            && typeof position.s === 'string'
+            && typeof position.o === 'string'
+            && typeof position.v === 'string'
+            && Number.isInteger(position.id)
+            && typeof position.f === 'string';
+        return valid ? position : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Build the WHERE and ORDER BY clauses of a list query
+ * @param {Object} params - Query parameters (usually req.query)
+ * @param {Object} spec - Filters and sort fields allowed for the resource
+ * @param {Object} options - { values: parameters already used by the query,
+ *   ignore: parameter names handled elsewhere (e.g. pagination) }
+ * @returns {Object} { where, orderBy, limit, cursorColumns, values, applied, page }
+ *   where `where`, `orderBy`, `limit` and `cursorColumns` are SQL fragments
+ *   (possibly empty), `applied` lists the parsed filter values, the sort and
+ *   the limit actually used, and `page` is what toPage() needs
+ * @throws {BadRequestError} With a `fields` array for unknown or invalid parameters
+ */
+export const buildListQuery = (params = {}, spec, { values = [], ignore = [] } = {}) => {
+    const errors = [];
+    const conditions = [];
+    const queryValues = [...values];
+    const applied = {};
+    
+    const filters = spec.filters || {};
+    const sort = spec.sort;
+    const pagination = sort && spec.pagination;
+    const known = [
+        ...Object.keys(filters),
+        ...(sort ? ['sort', 'order'] : []),
+        ...(pagination ? PAGINATION_PARAMS : []),
+        ...ignore
+    ];
+    
+    for (const name of Object.keys(params)) {
+        if (!known.includes(name)) {
+            errors.push({ field: name, message: `Parámetro desconocido. Permitidos: ${known.join(', ')}` });
+        }
+    }
+    
+    for (const [name, filter] of Object.entries(filters)) {
+        if (params[name] === undefined) {
+            continue;
+        }
+        const { value, param = value, error } = parseFilterValue(params[name], filter);
+        if (error) {
+            errors.push({ field: name, message: error });
+            continue;
+        }
+        queryValues.push(param);
+        conditions.push(filter.sql(`$${queryValues.length}`, value));
+        applied[name] = value;
+    }
+    
+    let orderBy = '';
+    let sortColumn = null;
+    let sortDirection = null;
+    if (sort) {
+        const sortField = params.sort ?? sort.default;
+        const direction = (params.order ?? sort.direction ?? 'asc');
+        
+        if (typeof sortField !== 'string' || !Object.hasOwn(sort.fields, sortField)) {
+            errors.push({ field: 'sort', message: `Campo de orden no permitido. Usa: ${Object.keys(sort.fields).join(', ')}` });
+        } else if (typeof direction !== 'string' || !SORT_DIRECTIONS.includes(direction.toLowerCase())) {
+            errors.push({ field: 'order', message: `Dirección no permitida. Usa: ${SORT_DIRECTIONS.join(', ')}` });
+        } else {
+            const sqlDirection = direction.toUpperCase();
+            sortColumn = sort.fields[sortField];
+            sortDirection = direction.toLowerCase();
+            const columns = [`${sort.fields[sortField]} ${sqlDirection}`];
+            if (sort.tieBreaker && sort.tieBreaker !== sort.fields[sortField]) {
+                columns.push(`${sort.tieBreaker} ${sqlDirection}`);
+            }
+            orderBy = `ORDER BY ${columns.join(', ')}`;
+            applied.sort = sortField;
+            applied.order = direction.toLowerCase();
+        }
+    }
+    
+    let limit = '';
+    let cursorColumns = '';
+    let page = null;
+    if (pagination) {
+        const filterValues = Object.fromEntries(Object.keys(filters).filter(name => name in applied).map(name => [name, applied[name]]));
+        const fingerprint = filtersFingerprint(filterValues);
+        
+        const pageSize = params.limit === undefined ? pagination.defaultLimit : Number(params.limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > pagination.maxLimit) {
+            errors.push({ field: 'limit', message: `Debe ser un entero entre 1 y ${pagination.maxLimit}` });
+        }
+        
+        if (params.cursor !== undefined && sortColumn) {
+            const position = typeof params.cursor === 'string' ? decodeCursor(params.cursor) : null;
+            if (!position) {
+                errors.push({ field: 'cursor', message: 'Cursor inválido' });
+            } else if (position.s !== applied.sort || position.o !== sortDirection || position.f !== fingerprint) {
+                errors.push({ field: 'cursor', message: 'El cursor pertenece a otra consulta: repite los mismos filtros y orden' });
+            } else {
+                // Rows strictly after the last one served, in the sort direction
+                const comparator = sortDirection === 'desc' ? '<' : '>';
+                if (sort.tieBreaker && sort.tieBreaker !== sortColumn) {
+                    queryValues.push(position.v, position.id);
+                    conditions.push(`(${sortColumn}, ${sort.tieBreaker}) ${comparator} ($${queryValues.length - 1}, $${queryValues.length})`);
+                } else {
+                    queryValues.push(position.id);
+                    conditions.push(`${sortColumn} ${comparator} $${queryValues.length}`);
+                }
+            }
+        }
+        
+        if (errors.length === 0) {
+            // One extra row tells whether there is a next page
+            queryValues.push(pageSize + 1);
+            limit = `LIMIT $${queryValues.length}`;
+            cursorColumns = `${sortColumn}::text AS cursor_valor, ${sort.tieBreaker || sortColumn} AS cursor_id`;
+            applied.limit = pageSize;
+            page = { size: pageSize, sort: applied.sort, order: sortDirection, fingerprint };
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new BadRequestError(`Parámetros de consulta inválidos: ${errors.map(e => e.field).join(', ')}`, { fields: errors });
+    }
+    
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        orderBy,
+        limit,
+        cursorColumns,
+        values: queryValues,
+        applied,
+        page
+    };
+};
+
+/**
+ * Cut the rows of a paginated list query into a page
+ * Drops the extra row fetched to detect a next page and the cursor columns.
+ * @param {Array<Object>} rows - Rows selected with `cursorColumns`
+ * @param {Object} page - `page` returned by buildListQuery
+ * @returns {Object} { rows, nextCursor } where nextCursor is null on the last page
+ */
+export const toPage = (rows, page) => {
+    const hasMore = rows.length > page.size;
+    const pageRows = rows.slice(0, page.size);
+    const last = pageRows.at(-1);
+    
+    const nextCursor = hasMore
+        ? encodeCursor({ s: page.sort, o: page.order, v: last.cursor_valor, id: last.cursor_id, f: page.fingerprint })
+        : null;
+    
+    return {
+        rows: pageRows.map(({ cursor_valor, cursor_id, ...row }) => row),
+        nextCursor
+    };
+};
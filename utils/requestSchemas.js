@@ -0,0 +1,110 @@
+import { string, format, integer, number, boolean, oneOf, forbidden, arrayOf, object } from './validation.js';
+import { isValidEmail, isValidPhone, isValidAddress } from './clientValidation.js';
+import { ORDER_STATUS, BATCH_MODES } from './orderStatus.js';
+import { ADJUSTMENT_REASONS } from './stockAdjustments.js';
+
+/**
+ * Request Schemas
+ * Bodies accepted by the write routes (see utils/validation.js). Text limits
+ * follow the VARCHAR columns and amounts the INTEGER / DECIMAL(10,2) ones, so
+ * a bad value is answered with 422 before any transaction starts.
+ */
+
+// Upper bound for POST /api/orders/batch, keeps a single transaction short
+export const MAX_BATCH_SIZE = 100;
+
+// Largest DECIMAL(10,2)
+const MAX_PRICE = 99999999.99;
+
+/**
+ * Client fields, required for new clients and optional for updates
+ * @param {boolean} optional - True for partial updates
+ * @returns {Object} Rule per field
+ */
+const customerFields = (optional) => ({
+    nombre: string({ max: 100, optional }),
+    email: format(isValidEmail, 'Formato de email inválido (hasta 100 caracteres)', { optional }),
+    telefono: format(isValidPhone, 'Teléfono inválido: entre 7 y 15 dígitos, se admite +, espacios, guiones y paréntesis', { optional: true, nullable: true }),
+    direccion: format(isValidAddress, 'Dirección inválida: entre 5 y 255 caracteres, sin caracteres de control', { optional: true, nullable: true })
+});
+
+const productName = (options = {}) => string({ max: 100, trim: true, ...options });
+const quantity = (options = {}) => integer({ min: 1, ...options });
+
+/**
+ * Either "producto" + "cantidad" or a "productos" list
+ */
+const checkOrderProducts = ({ producto, cantidad, productos }) => {
+    if (productos !== undefined) {
+        return producto !== undefined || cantidad !== undefined
+            ? [{ field: 'productos', message: 'Usa "producto" + "cantidad" o "productos", no ambos' }]
+            : [];
+    }
+    if (producto === undefined && cantidad === undefined) {
+        return [{ field: 'producto', message: 'Falta el producto: envía "producto" + "cantidad" o una lista "productos"' }];
+    }
+    if (producto === undefined) {
+        return [{ field: 'producto', message: 'Obligatorio junto a "cantidad"' }];
+    }
+    return cantidad === undefined ? [{ field: 'cantidad', message: 'Obligatorio junto a "producto"' }] : [];
+};
+
+// POST /api/orders
+export const ORDER_SCHEMA = object({
+    cliente: object(customerFields(false)),
+    producto: productName({ optional: true }),
+    cantidad: quantity({ optional: true }),
+    productos: arrayOf(object({ producto: productName(), cantidad: quantity() }), { optional: true }),
+    simulateError: boolean({ optional: true }),
+    bestEffort: boolean({ optional: true })
+}, { check: checkOrderProducts });
+
+// POST /api/orders/batch
+export const BATCH_SCHEMA = object({
+    orders: arrayOf(ORDER_SCHEMA, { max: MAX_BATCH_SIZE }),
+    mode: oneOf(Object.values(BATCH_MODES), { default: BATCH_MODES.INDEPENDENT }),
+    stopOnError: boolean({ default: true })
+});
+
+// POST /api/orders/:id/cancel
+export const CANCEL_ORDER_SCHEMA = object({
+    motivo: string({ trim: true })
+});
+
+// PATCH /api/orders/:id/status
+export const ORDER_STATUS_SCHEMA = object({
+    estado: oneOf(Object.values(ORDER_STATUS)),
+    motivo: string({ trim: true, optional: true, nullable: true })
+});
+
+const productFields = {
+    producto: productName(),
+    descripcion: string({ min: 0, optional: true, nullable: true }),
+    precio: number({ min: 0, max: MAX_PRICE, decimals: 2 }),
+    stock_minimo: integer({ min: 0, optional: true })
+};
+
+// POST /api/inventory
+export const PRODUCT_SCHEMA = object({
+    ...productFields,
+    stock: integer({ min: 0, default: 0 })
+});
+
+// PATCH /api/inventory/:id (stock only changes through the adjust route)
+export const PRODUCT_UPDATE_SCHEMA = object({
+    producto: productName({ optional: true }),
+    descripcion: productFields.descripcion,
+    precio: number({ min: 0, max: MAX_PRICE, decimals: 2, optional: true }),
+    stock_minimo: productFields.stock_minimo,
+    stock: forbidden('El stock no se edita: usa POST /api/inventory/:id/adjust')
+}, { minFields: 1 });
+
+// POST /api/inventory/:id/adjust
+export const STOCK_ADJUSTMENT_SCHEMA = object({
+    cantidad: integer({ nonZero: true }),
+    motivo: oneOf(Object.keys(ADJUSTMENT_REASONS)),
+    nota: string({ optional: true, nullable: true })
+});
+
+// PATCH /api/customers/:id
+export const CUSTOMER_UPDATE_SCHEMA = object(customerFields(true), { minFields: 1 });
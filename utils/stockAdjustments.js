@@ -0,0 +1,20 @@
+/**
+ * Stock Adjustments
+ * Manual stock adjustment reasons, shared by the inventory service and the
+ * request schemas. The ledger also records the reasons of
+ * MOVEMENT_REASONS (dao/inventarioDAO.js), which are not set by hand.
+ */
+
+/**
+ * Reason codes accepted by adjustProductStock and the sign each one allows
+ * - reposicion: stock received from a supplier (positive)
+ * - merma: damaged, lost or stolen units (negative)
+ * - devolucion_proveedor: units sent back to the supplier (negative)
+ * - correccion: physical count correction (either sign)
+ */
+export const ADJUSTMENT_REASONS = Object.freeze({
+    reposicion: 'positive',
+    merma: 'negative',
+    devolucion_proveedor: 'negative',
+    correccion: 'any'
+});
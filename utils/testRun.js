@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Test Run
+ * Keeps the id of the test run (POST /tests/run) the current code is part
+ * of. executeTransaction copies it into a transaction-local setting, and the
+ * `ejecucion_prueba_id` columns default to that setting, so every row written
+ * during the run is tagged without the services knowing about it.
+ */
+
+// Postgres setting read by the column defaults (see migration 005)
+export const TEST_RUN_SETTING = 'app.ejecucion_prueba';
+
+const testRunStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function as part of a test run
+ * @param {string} runId - Id returned by startTestRun
+ * @param {Function} fn - async () => result
+ * @returns {Promise<any>} Result of fn
+ */
+export const runInTestRun = (runId, fn) => testRunStorage.run(runId, fn);
+
+/**
+ * Id of the test run the caller belongs to
+ * @returns {string|null} Run id or null outside a test run
+ */
+export const getTestRunId = () => testRunStorage.getStore() ?? null;
@@ -1,4 +1,8 @@
 import { getClient } from '../config/database.js';
+import { getTestRunId, TEST_RUN_SETTING } from './testRun.js';
+import { TransientDbError } from './errors.js';
+import { logger, withLogContext, newLogId } from './logger.js';
+import { recordTransaction } from './metrics.js';
 
 /**
  * Transaction Manager
@@ -6,72 +10,295 @@ import { getClient } from '../config/database.js';
  */
 
 /**
- * Execute a function within a database transaction
- * Automatically handles BEGIN, COMMIT, and ROLLBACK
- * @param {Function} transactionFn - Function that executes the transaction logic
- * @param {Object} options - Transaction options
- * @param {boolean} options.logQueries - Whether to log SQL queries (default: false)
- * @returns {Promise<any>} Result of the transaction function
+ * Wrap a pool client in a transaction context
+ * The context exposes `query` (so every DAO accepts it as `dbClient`),
+ * `savepoint(name, fn)` for nested transactions and `onCommit(fn)` for work
+ * that must only happen once the data is committed (e.g. metrics).
+ * @param {pg.PoolClient} client - Client with an open transaction
+ * @param {string} logLevel - Level of the savepoint log entries
+ * @returns {Object} Transaction context
  */
-export const executeTransaction = async (transactionFn, options = {}) => {
-    const { logQueries = false } = options;
-    let client;
+const createTransactionContext = (client, logLevel) => {
+    let savepointCounter = 0;
+    const commitCallbacks = [];
     
-    try {
-        // Get client from pool
-        client = await getClient();
+    const tx = {
+        client,
+        query: (...args) => client.query(...args),
         
-        if (logQueries) {
-            console.log('[PROCESSING] Iniciando transacción...');
-        }
+        /**
+         * Run a function after a successful COMMIT
+         * Dropped if the transaction (or the savepoint it was registered in)
+         * rolls back. Errors are logged, never thrown: the data is committed.
+         * @param {Function} fn - Synchronous callback
+         */
+        onCommit: (fn) => {
+            commitCallbacks.push(fn);
+        },
         
-        // Begin transaction
-        await client.query('BEGIN');
+        /**
+         * Run the onCommit callbacks (called by executeTransaction)
+         */
+        runCommitCallbacks: () => {
+            for (const fn of commitCallbacks.splice(0)) {
+                try {
+                    fn();
+                } catch (error) {
+                    logger.error('Error en un callback posterior al COMMIT', { error });
+                }
+            }
+        },
         
-        if (logQueries) {
-            console.log('✓ BEGIN ejecutado');
+        /**
+         * Run a function inside a SAVEPOINT
+         * On success the savepoint is released; on error the work done inside
+         * it is undone with ROLLBACK TO SAVEPOINT and the error is re-thrown,
+         * leaving the outer transaction usable so the caller can skip or
+         * replace the failed step. If the rollback itself fails, the error of
+         * fn is still the one thrown (the rollback error is logged with it
+         * as cause).
+         * @param {string} name - Savepoint label (sanitized, made unique)
+         * @param {Function} fn - Function receiving this same context
+         * @returns {Promise<any>} Result of fn
+         */
+        savepoint: async (name, fn) => {
+            savepointCounter += 1;
+            const label = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+            const savepointName = `sp_${savepointCounter}_${label}`;
+            
+            await client.query(`SAVEPOINT ${savepointName}`);
+            logger[logLevel]('SAVEPOINT', { savepoint: savepointName });
+            const callbackCount = commitCallbacks.length;
+            
+            try {
+                const result = await fn(tx);
+                await client.query(`RELEASE SAVEPOINT ${savepointName}`);
+                logger[logLevel]('RELEASE SAVEPOINT', { savepoint: savepointName });
+                return result;
+            } catch (error) {
+                commitCallbacks.length = callbackCount;
+                try {
+                    await client.query(`ROLLBACK TO SAVEPOINT ${savepointName}`);
+                    await client.query(`RELEASE SAVEPOINT ${savepointName}`);
+                } catch (rollbackError) {
+                    // The failure that got us here is the one to report; the
+                    // broken transaction makes the next query fail anyway
+                    rollbackError.cause ??= error;
+                    logger.error('Error en ROLLBACK TO SAVEPOINT', { savepoint: savepointName, error: rollbackError });
+                    throw error;
+                }
+                logger.warn('ROLLBACK TO SAVEPOINT', { savepoint: savepointName, error: error.message });
+                throw error;
+            }
         }
-        
-        // Execute transaction function
-        const result = await transactionFn(client);
-        
-        // Commit transaction
-        await client.query('COMMIT');
-        
-        if (logQueries) {
-            console.log('[OK] COMMIT ejecutado - Transacción completada exitosamente');
+    };
+    
+    return tx;
+};
+
+/**
+ * Supported isolation levels for executeTransaction
+ */
+export const ISOLATION_LEVELS = Object.freeze({
+    READ_COMMITTED: 'READ COMMITTED',
+    REPEATABLE_READ: 'REPEATABLE READ',
+    SERIALIZABLE: 'SERIALIZABLE'
+});
+
+// SQLSTATEs that mean "nothing is wrong with the request, try again":
+// 40001 serialization_failure, 40P01 deadlock_detected
+const RETRYABLE_SQLSTATES = new Set(['40001', '40P01']);
+
+// Default retry policy (bounded exponential backoff with full jitter)
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 50;
+const DEFAULT_RETRY_MAX_DELAY_MS = 1000;
+
+/**
+ * Check whether an error (or any error in its `cause` chain) is a
+ * serialization failure or deadlock that should be retried
+ * @param {Error} error - Error thrown inside a transaction
+ * @returns {boolean} True if the transaction can be retried
+ */
+export const isRetryableError = (error) => {
+    for (let current = error; current; current = current.cause) {
+        if (RETRYABLE_SQLSTATES.has(current.code)) {
+            return true;
         }
+    }
+    return false;
+};
+
+/**
+ * Build the BEGIN statement for the requested transaction mode
+ * @param {Object} options - Transaction options (see executeTransaction)
+ * @returns {string} BEGIN statement
+ */
+const buildBeginStatement = ({ isolationLevel, readOnly, deferrable }) => {
+    const modes = [];
+    
+    if (isolationLevel) {
+        if (!Object.values(ISOLATION_LEVELS).includes(isolationLevel)) {
+            throw new Error(`Nivel de aislamiento inválido: ${isolationLevel}. Usa: ${Object.values(ISOLATION_LEVELS).join(', ')}`);
+        }
+        modes.push(`ISOLATION LEVEL ${isolationLevel}`);
+    }
+    if (readOnly) {
+        modes.push('READ ONLY');
+    }
+    if (deferrable) {
+        modes.push('DEFERRABLE');
+    }
+    
+    return ['BEGIN', ...modes].join(' ');
+};
+
+/**
+ * Delay before the next retry: exponential backoff capped at maxDelayMs,
+ * with full jitter so competing transactions don't retry in lockstep
+ * @param {number} attempt - Retry number (1-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} maxDelayMs - Upper bound
+ * @returns {number} Delay in milliseconds
+ */
+const computeRetryDelay = (attempt, baseDelayMs, maxDelayMs) => {
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * exponential);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Execute a function within a database transaction
+ * Automatically handles BEGIN, COMMIT, and ROLLBACK
+ * The function receives a transaction context: use it as `dbClient` for DAO
+ * calls and `tx.savepoint(name, fn)` for nested transactions.
+ *
+ * Serialization failures (40001) and deadlocks (40P01) roll back and re-run
+ * the whole function on a fresh transaction, so it must not have side
+ * effects outside the database.
+ *
+ * Each call gets a transactionId that is added to every log entry written
+ * inside it; BEGIN, COMMIT and ROLLBACK entries carry the attempt and the
+ * duration. Failed attempts are always logged (warn).
+ * @param {Function} transactionFn - Function that executes the transaction logic
+ * @param {Object} options - Transaction options
+ * @param {boolean} options.logQueries - Log BEGIN, COMMIT and savepoints at
+ *   info instead of debug (default: false)
+ * @param {string} options.operation - Name added to the log entries and
+ *   the metric labels (e.g. 'order'; default: 'other')
+ * @param {string} options.isolationLevel - One of ISOLATION_LEVELS (default: server default)
+ * @param {boolean} options.readOnly - Start a READ ONLY transaction
+ * @param {boolean} options.deferrable - DEFERRABLE (only effective with SERIALIZABLE + readOnly)
+ * @param {number} options.maxRetries - Retries on 40001/40P01 (default: 3, 0 disables)
+ * @param {number} options.retryBaseDelayMs - Backoff base delay (default: 50)
+ * @param {number} options.retryMaxDelayMs - Backoff upper bound (default: 1000)
+ * @param {boolean} options.rollbackOnly - Roll back instead of committing a
+ *   successful run (dry runs: the result is returned, nothing is persisted)
+ * @returns {Promise<any>} Result of the transaction function
+ * @throws {TransientDbError} When a serialization failure or deadlock
+ *   persists after every retry; any other error is re-thrown as is
+ */
+export const executeTransaction = (transactionFn, options = {}) => {
+    // Every entry logged inside (DAOs and services included) carries the id
+    const context = { transactionId: newLogId() };
+    if (options.operation) {
+        context.operation = options.operation;
+    }
+    return withLogContext(context, () => runTransaction(transactionFn, options));
+};
+
+/**
+ * Attempt loop of executeTransaction, run inside its log context
+ */
+const runTransaction = async (transactionFn, options) => {
+    const {
+        logQueries = false,
+        operation,
+        rollbackOnly = false,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+        retryMaxDelayMs = DEFAULT_RETRY_MAX_DELAY_MS
+    } = options;
+    const beginStatement = buildBeginStatement(options);
+    // Routine events are info for the logged business transactions, debug otherwise
+    const logLevel = logQueries ? 'info' : 'debug';
+    
+    for (let attempt = 0; ; attempt++) {
+        let client;
+        let startedAt;
+        const elapsedMs = () => Math.round(performance.now() - startedAt);
         
-        return result;
-        
-    } catch (error) {
-        if (client) {
-            try {
+        try {
+            // Get client from pool
+            client = await getClient();
+            
+            // Begin transaction
+            startedAt = performance.now();
+            await client.query(beginStatement);
+            logger[logLevel]('BEGIN', { statement: beginStatement, attempt: attempt + 1 });
+            
+            // Rows written during a test run are tagged with its id (column defaults)
+            const testRunId = getTestRunId();
+            if (testRunId) {
+                await client.query('SELECT set_config($1, $2, true)', [TEST_RUN_SETTING, testRunId]);
+            }
+            
+            // Execute transaction function
+            const tx = createTransactionContext(client, logLevel);
+            const result = await transactionFn(tx);
+            
+            if (rollbackOnly) {
                 await client.query('ROLLBACK');
-                if (logQueries) {
-                    console.log('[PROCESSING] ROLLBACK ejecutado - Transacción revertida');
+                const durationMs = elapsedMs();
+                logger[logLevel]('ROLLBACK', { reason: 'rollbackOnly', attempt: attempt + 1, durationMs });
+                recordTransaction({ operation, outcome: 'rollback', durationMs });
+                return result;
+            }
+            
+            // Commit transaction
+            await client.query('COMMIT');
+            const durationMs = elapsedMs();
+            logger[logLevel]('COMMIT', { attempt: attempt + 1, durationMs });
+            recordTransaction({ operation, outcome: 'commit', durationMs });
+            tx.runCommitCallbacks();
+            
+            return result;
+            
+        } catch (error) {
+            const willRetry = isRetryableError(error) && attempt < maxRetries;
+            
+            if (client) {
+                try {
+                    await client.query('ROLLBACK');
+                    const durationMs = startedAt === undefined ? 0 : elapsedMs();
+                    logger.warn('ROLLBACK', {
+                        error: error.message,
+                        code: error.code,
+                        attempt: attempt + 1,
+                        willRetry,
+                        durationMs
+                    });
+                    recordTransaction({ operation, outcome: 'rollback', error, durationMs, willRetry });
+                } catch (rollbackError) {
+                    logger.error('Error ejecutando ROLLBACK', { error: rollbackError });
                 }
-            } catch (rollbackError) {
-                console.error('[ERROR] Error ejecutando ROLLBACK:', rollbackError);
             }
-        }
-        
-        // Log the error with context
-        console.error('[ERROR] Error en transacción:', {
-            message: error.message,
-            code: error.code,
-            detail: error.detail,
-            timestamp: new Date().toISOString()
-        });
-        
-        throw error;
-    } finally {
-        if (client) {
-            client.release();
-            if (logQueries) {
-                console.log('[RELEASED] Cliente liberado del pool de conexiones');
+            
+            if (!willRetry) {
+                // Still conflicting after every retry: the caller may try again later
+                if (isRetryableError(error) && !(error instanceof TransientDbError)) {
+                    throw new TransientDbError(`Conflicto de concurrencia tras ${attempt + 1} intento(s): ${error.message}`, { cause: error });
+                }
+                throw error;
             }
+        } finally {
+            client?.release();
         }
+        
+        // Only reached when the attempt failed with a retryable error; the
+        // client is already back in the pool while we wait
+        await sleep(computeRetryDelay(attempt + 1, retryBaseDelayMs, retryMaxDelayMs));
     }
 };
 
@@ -87,14 +314,14 @@ export const executeSequentialTransactions = async (transactionFns, options = {}
     
     for (let i = 0; i < transactionFns.length; i++) {
         try {
-            console.log(`[PROCESSING] Ejecutando transacción ${i + 1} de ${transactionFns.length}...`);
+            logger.info(`Ejecutando transacción ${i + 1} de ${transactionFns.length}`);
             
             const result = await executeTransaction(transactionFns[i], options);
             results.push(result);
             
-            console.log(`[OK] Transacción ${i + 1} completada`);
+            logger.info(`Transacción ${i + 1} completada`);
         } catch (error) {
-            console.error(`[ERROR] Error en transacción ${i + 1}:`, error.message);
+            logger.error(`Error en transacción ${i + 1}`, { error: error.message });
             throw new Error(`Transacción ${i + 1} falló: ${error.message}`);
         }
     }
@@ -104,27 +331,30 @@ export const executeSequentialTransactions = async (transactionFns, options = {}
 
 /**
  * Custom transaction wrapper for specific business operations
- * Provides detailed logging for business operations
+ * Provides detailed logging for business operations: the transaction events
+ * are logged at info and tagged with the `operation`.
  */
 export class TransactionManager {
     /**
      * Execute an order placement transaction
+     * Runs at SERIALIZABLE by default: contention between checkouts surfaces
+     * as a serialization failure, which executeTransaction retries.
      * @param {Function} orderFn - Function that handles the order placement
      * @param {Object} orderData - Order data for logging
+     * @param {Object} options - executeTransaction options overriding the defaults
      * @returns {Promise<any>} Transaction result
      */
-    static async executeOrderTransaction(orderFn, orderData) {
-        console.log('[ORDER] Iniciando transacción de pedido...');
-        console.log('[DATA] Datos del pedido:', {
-            cliente: orderData.cliente?.nombre || 'N/A',
-            producto: orderData.producto || 'N/A',
-            cantidad: orderData.cantidad || 0
-        });
-        
+    static async executeOrderTransaction(orderFn, orderData, options = {}) {
         return executeTransaction(async (client) => {
+            logger.info('Transacción de pedido', {
+                cliente: orderData.cliente?.nombre || 'N/A',
+                producto: orderData.producto || 'N/A',
+                cantidad: orderData.cantidad || 0
+            });
+            
             const result = await orderFn(client);
             
-            console.log('[OK] Pedido procesado exitosamente:', {
+            logger.info('Pedido procesado', {
                 pedidoId: result.pedido?.id || 'N/A',
                 clienteId: result.cliente?.id || 'N/A',
                 productoId: result.producto?.id || 'N/A',
@@ -132,7 +362,13 @@ export class TransactionManager {
             });
             
             return result;
-        }, { logQueries: true });
+        }, {
+            logQueries: true,
+            operation: 'order',
+            isolationLevel: ISOLATION_LEVELS.SERIALIZABLE,
+            maxRetries: 5,
+            ...options
+        });
     }
     
     /**
@@ -142,16 +378,15 @@ export class TransactionManager {
      * @returns {Promise<any>} Transaction result
      */
     static async executeInventoryTransaction(inventoryFn, inventoryData) {
-        console.log('[DATA] Iniciando transacción de inventario...');
-        console.log('🔢 Datos del inventario:', inventoryData);
-        
         return executeTransaction(async (client) => {
+            logger.info('Transacción de inventario', { datos: inventoryData });
+            
             const result = await inventoryFn(client);
             
-            console.log('[OK] Inventario actualizado exitosamente');
+            logger.info('Inventario actualizado');
             
             return result;
-        }, { logQueries: true });
+        }, { logQueries: true, operation: 'inventory' });
     }
     
     /**
@@ -161,22 +396,21 @@ export class TransactionManager {
      * @returns {Promise<any>} Transaction result
      */
     static async executeClientTransaction(clientFn, clientData) {
-        console.log('👤 Iniciando transacción de cliente...');
-        console.log('📝 Datos del cliente:', {
-            nombre: clientData.nombre || 'N/A',
-            email: clientData.email || 'N/A'
-        });
-        
         return executeTransaction(async (client) => {
+            logger.info('Transacción de cliente', {
+                nombre: clientData.nombre || 'N/A',
+                email: clientData.email || 'N/A'
+            });
+            
             const result = await clientFn(client);
             
-            console.log('[OK] Cliente procesado exitosamente:', {
+            logger.info('Cliente procesado', {
                 clienteId: result.id || 'N/A',
                 nombre: result.nombre || 'N/A'
             });
             
             return result;
-        }, { logQueries: true });
+        }, { logQueries: true, operation: 'client' });
     }
 }
 
@@ -0,0 +1,213 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Validation
+ * Declarative schemas for JSON request bodies. A schema is built from the
+ * rules below and checked with validate(), which collects every problem as
+ * { field, message } instead of stopping at the first one. Nested fields are
+ * reported as `cliente.email` or `productos[1].cantidad`.
+ *
+ * Every rule accepts { optional, nullable, default }: an optional field may
+ * be left out, a nullable one may be null, and a default fills a missing one.
+ */
+
+// Largest value of an INTEGER column
+export const MAX_INTEGER = 2147483647;
+
+// Name used for problems with the body itself
+const ROOT_FIELD = 'body';
+
+/**
+ * Build a rule
+ * @param {Object} options - { optional, nullable, default }
+ * @param {Function} check - (value, path, errors) => cleaned value; pushes
+ *   to errors when the value is invalid
+ * @returns {Object} Rule
+ */
+const rule = ({ optional = false, nullable = false, default: defaultValue } = {}, check) =>
+    ({ optional, nullable, defaultValue, check });
+
+/**
+ * Record a problem and return undefined (the value is discarded)
+ */
+const fail = (errors, path, message) => {
+    errors.push({ field: path || ROOT_FIELD, message });
+    return undefined;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Text field
+ * @param {Object} options - { min = 1, max, trim } plus the common options
+ */
+export const string = ({ min = 1, max, trim = false, ...options } = {}) => rule(options, (value, path, errors) => {
+    if (typeof value !== 'string') {
+        return fail(errors, path, 'Debe ser un texto');
+    }
+    const text = trim ? value.trim() : value;
+    if (text.length < min || (max !== undefined && text.length > max)) {
+        return fail(errors, path, max === undefined
+            ? 'Debe ser un texto no vacío'
+            : `Debe ser un texto ${min > 0 ? 'no vacío ' : ''}de hasta ${max} caracteres`);
+    }
+    return text;
+});
+
+/**
+ * Text field checked by a format function (e.g. isValidEmail)
+ * @param {Function} isValid - (value) => boolean
+ * @param {string} message - Message when the format is wrong
+ * @param {Object} options - Common options
+ */
+export const format = (isValid, message, options = {}) => rule(options, (value, path, errors) =>
+    (isValid(value) ? value : fail(errors, path, message)));
+
+/**
+ * Whole number (a JSON number, not a numeric string)
+ * @param {Object} options - { min, max = MAX_INTEGER, nonZero } plus the common options
+ */
+export const integer = ({ min = -MAX_INTEGER, max = MAX_INTEGER, nonZero = false, ...options } = {}) => rule(options, (value, path, errors) => {
+    if (!Number.isInteger(value)) {
+        return fail(errors, path, 'Debe ser un número entero');
+    }
+    if (value < min || value > max) {
+        return fail(errors, path, `Debe ser un número entero entre ${min} y ${max}`);
+    }
+    if (nonZero && value === 0) {
+        return fail(errors, path, 'Debe ser un número entero distinto de 0');
+    }
+    return value;
+});
+
+/**
+ * Decimal number (a JSON number, not a numeric string)
+ * @param {Object} options - { min, max, decimals } plus the common options
+ */
+export const number = ({ min = -Infinity, max = Infinity, decimals, ...options } = {}) => rule(options, (value, path, errors) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(errors, path, 'Debe ser un número');
+    }
+    if (value < min || value > max) {
+        return fail(errors, path, `Debe ser un número entre ${min} y ${max}`);
+    }
+    if (decimals !== undefined && Number(value.toFixed(decimals)) !== value) {
+        return fail(errors, path, `Admite hasta ${decimals} decimales`);
+    }
+    return value;
+});
+
+/**
+ * true or false
+ * @param {Object} options - Common options
+ */
+export const boolean = (options = {}) => rule(options, (value, path, errors) =>
+    (typeof value === 'boolean' ? value : fail(errors, path, 'Debe ser true o false')));
+
+/**
+ * One of a fixed list of values
+ * @param {Array} values - Accepted values
+ * @param {Object} options - Common options
+ */
+export const oneOf = (values, options = {}) => rule(options, (value, path, errors) =>
+    (values.includes(value) ? value : fail(errors, path, `Valor inválido. Usa: ${values.join(', ')}`)));
+
+/**
+ * Field that may not be sent, with a hint about what to use instead
+ * @param {string} message - Message when the field is present
+ */
+export const forbidden = (message) => ({
+    ...rule({ optional: true }, (value, path, errors) => fail(errors, path, message)),
+    forbidden: true
+});
+
+/**
+ * List of values that all follow the same rule
+ * @param {Object} item - Rule for every element
+ * @param {Object} options - { min = 1, max } plus the common options
+ */
+export const arrayOf = (item, { min = 1, max, ...options } = {}) => rule(options, (value, path, errors) => {
+    if (!Array.isArray(value)) {
+        return fail(errors, path, 'Debe ser una lista');
+    }
+    if (value.length < min || (max !== undefined && value.length > max)) {
+        return fail(errors, path, max === undefined
+            ? `Debe tener al menos ${min} elemento(s)`
+            : `Debe tener entre ${min} y ${max} elementos`);
+    }
+    return value.map((element, index) => checkValue(item, element, `${path}[${index}]`, errors));
+});
+
+/**
+ * JSON object with a fixed set of fields; any other field is rejected
+ * @param {Object} fields - Rule per field name
+ * @param {Object} options - { minFields: at least this many fields present,
+ *   check: (value) => [{ field, message }] for rules across fields, run once
+ *   the fields themselves are valid } plus the common options
+ */
+export const object = (fields, { minFields = 0, check, ...options } = {}) => rule(options, (value, path, errors) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(errors, path, 'Debe ser un objeto JSON');
+    }
+    
+    const errorCount = errors.length;
+    for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(fields, key)) {
+            fail(errors, joinPath(path, key), 'Campo desconocido o no editable');
+        }
+    }
+    
+    const cleaned = {};
+    for (const [key, fieldRule] of Object.entries(fields)) {
+        const fieldValue = checkValue(fieldRule, value[key], joinPath(path, key), errors);
+        if (fieldValue !== undefined) {
+            cleaned[key] = fieldValue;
+        }
+    }
+    
+    if (Object.keys(value).length < minFields) {
+        const allowed = Object.keys(fields).filter(key => !fields[key].forbidden);
+        return fail(errors, path, `Envía al menos un campo: ${allowed.join(', ')}`);
+    }
+    if (check && errors.length === errorCount) {
+        for (const { field, message } of check(cleaned)) {
+            fail(errors, joinPath(path, field), message);
+        }
+    }
+    return cleaned;
+});
+
+/**
+ * Apply a rule to one value
+ * @returns {any} Cleaned value, or undefined for a missing optional field
+ */
+const checkValue = (fieldRule, value, path, errors) => {
+    if (value === undefined) {
+        if (fieldRule.defaultValue !== undefined) {
+            return fieldRule.defaultValue;
+        }
+        return fieldRule.optional ? undefined : fail(errors, path, path ? 'Campo obligatorio' : 'Falta el cuerpo JSON');
+    }
+    if (value === null) {
+        return fieldRule.nullable ? null : fail(errors, path, 'No puede ser null');
+    }
+    return fieldRule.check(value, path, errors);
+};
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Rule, usually an object() rule
+ * @param {any} value - Value to check (e.g. a request body)
+ * @returns {any} Cleaned value: trimmed strings, defaults applied, missing
+ *   optional fields left out
+ * @throws {ValidationError} With a `fields` array with one { field, message }
+ *   per problem
+ */
+export const validate = (schema, value) => {
+    const errors = [];
+    const cleaned = checkValue(schema, value, '', errors);
+    if (errors.length > 0) {
+        throw new ValidationError(`Datos inválidos: ${[...new Set(errors.map(e => e.field))].join(', ')}`, { fields: errors });
+    }
+    return cleaned;
+};